@@ -1,4 +1,4 @@
-var _ = require('alloy')._;
+var _ = require('Platform')._;
 	
 /**
  * @property {Function} dummyClass Empty function that is used as a class/constructor by the define-method to create a valid
@@ -19,6 +19,9 @@ var ClassManager = {
 	 *
 	 * If the class contains a 'construct'-method, it will be called upon construction of a new instance.
 	 * 
+	 * If the class contains a 'mixins'-array, the members of each mixin are copied onto its prototype (without overwriting
+	 * anything the class defines itself).
+	 * 
 	 * @param {String} name Name of the Class
 	 * @param {Object} definition The body of the class (containing all methods and properties)
 	 * @param {Object} [ct] A container that is to contain this object's definition
@@ -26,6 +29,7 @@ var ClassManager = {
 	 */
 	define: function(name, definition, ct) {
 		var staticDef = definition.statics || {},
+			mixins = definition.mixins || [],
 			parent,
 			cls;
 			
@@ -35,6 +39,7 @@ var ClassManager = {
 			
 		delete definition.extend;
 		delete definition.statics;
+		delete definition.mixins;
 		
 		// Set the classname static property	
 		staticDef.classname || (staticDef.classname = name);
@@ -65,6 +70,11 @@ var ClassManager = {
 			cls.prototype = _.clone(definition);
 		}
 		
+		// Add the mixins
+		_.each(mixins, function(mixin) {
+			_.defaults(cls.prototype, mixin);
+		});
+		
 		// Add the static defintion
 		_.extend(cls, staticDef);
 		
@@ -0,0 +1,136 @@
+/**
+ * The Platform connects TaskManager to the environment it runs in.
+ * 
+ * Everything TaskManager needs from its environment goes through the active adapter: the utility library, the events mixin,
+ * deferring and delaying functions, the clock and the logger. Adapters for Titanium (Platform.Titanium), Node (Platform.Node)
+ * and web or React Native builds (Platform.Web) are included. The one matching the environment is picked when this module
+ * is loaded (see Platform/Default.js). Use Platform#use to replace (parts of) it.
+ * 
+ * Note that the utility library and events mixin are picked up by the other modules as they are loaded, so replacing these
+ * only has effect before TaskManager is required. All other members can be replaced at any time.
+ * 
+ * @class Platform
+ * @singleton
+ */
+var Platform = {
+	/**
+	 * @property {String} name The name of the active adapter
+	 * @readonly
+	 */
+	name: null,
+	
+	/**
+	 * @property {Object} _ The utility library (underscore-compatible)
+	 * @readonly
+	 */
+	_: null,
+	
+	/**
+	 * @property {Object} Events The events mixin (Backbone.Events-compatible)
+	 * @readonly
+	 */
+	Events: null,
+	
+	/**
+	 * Use the supplied adapter, replacing (part of) the active one.
+	 * 
+	 * An adapter is a dictionary that contains (some of) the following members:
+	 * 
+	 * - name - String; the name of the adapter
+	 * - _ - Object; the utility library (underscore-compatible)
+	 * - Events - Object; the events mixin (Backbone.Events-compatible)
+	 * - defer - Function that invokes the supplied function as soon as the thread is free
+	 * - delay - Function that invokes the supplied function after the supplied number of milliseconds, returning a handle
+	 * - cancel - Function that receives a handle returned by delay, and cancels that invocation
+	 * - now - Function that returns the current time in milliseconds
+	 * - log - Function that logs the supplied message
+	 * 
+	 * @param {Object} adapter The adapter, e.g. require('Platform/Node')
+	 * @return {Object} The members that were replaced, which can be passed to this method to restore them
+	 */
+	use: function(adapter) {
+		var previous = {},
+			key;
+		
+		for (key in adapter) {
+			if (adapter.hasOwnProperty(key)) {
+				previous[key] = _adapter[key];
+				_adapter[key] = adapter[key];
+			}
+		}
+		
+		Platform.name = _adapter.name;
+		Platform._ = _adapter._;
+		Platform.Events = _adapter.Events;
+		
+		return previous;
+	},
+	
+	/**
+	 * Invoke the supplied function as soon as the thread is free.
+	 * 
+	 * @param {Function} fn The function to invoke
+	 * @param {Mixed...} [args] The arguments to invoke it with
+	 */
+	defer: function(fn) {
+		var args = Array.prototype.slice.call(arguments, 1);
+		
+		_adapter.defer(function() {
+			fn.apply(null, args);
+		});
+	},
+	
+	/**
+	 * Invoke the supplied function after a number of milliseconds.
+	 * 
+	 * @param {Function} fn The function to invoke
+	 * @param {Number} ms The number of milliseconds to wait
+	 * @param {Mixed...} [args] The arguments to invoke it with
+	 * @return {Mixed} Handle that can be passed to Platform#cancel
+	 */
+	delay: function(fn, ms) {
+		var args = Array.prototype.slice.call(arguments, 2);
+		
+		return _adapter.delay(function() {
+			fn.apply(null, args);
+		}, ms);
+	},
+	
+	/**
+	 * Cancel a delayed invocation.
+	 * 
+	 * @param {Mixed} handle The handle returned by Platform#delay
+	 */
+	cancel: function(handle) {
+		_adapter.cancel(handle);
+	},
+	
+	/**
+	 * Get the current time.
+	 * 
+	 * @return {Number} The current time in milliseconds
+	 */
+	now: function() {
+		return _adapter.now();
+	},
+	
+	/**
+	 * Log the supplied message.
+	 * 
+	 * @param {String} msg The message
+	 */
+	log: function(msg) {
+		_adapter.log(msg);
+	}
+};
+
+/**
+ * @property {Object} _adapter The active adapter
+ * @private
+ */
+var _adapter = {};
+
+// Use the adapter that matches the environment (see Platform/Default.js)
+Platform.use(require('Platform/Default'));
+
+module.exports = Platform;
@@ -0,0 +1,8 @@
+/**
+ * Pick the adapter for Titanium or Node, depending on the environment.
+ * 
+ * Bundlers that resolve platform-specific extensions get Platform/Default.native.js (Metro, for React Native builds) or
+ * Platform/Default.web.js (for web builds) instead, which keeps the Titanium adapter (and the alloy module it requires)
+ * out of those bundles.
+ */
+module.exports = typeof Ti !== 'undefined' ? require('Platform/Titanium') : require('Platform/Node');
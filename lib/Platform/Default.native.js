@@ -0,0 +1,4 @@
+/**
+ * Pick the adapter for React Native builds (see Platform/Default.js).
+ */
+module.exports = require('Platform/Web');
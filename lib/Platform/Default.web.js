@@ -0,0 +1,4 @@
+/**
+ * Pick the adapter for web builds (see Platform/Default.js).
+ */
+module.exports = require('Platform/Web');
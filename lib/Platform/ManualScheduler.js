@@ -0,0 +1,226 @@
+var Platform = require('Platform'),
+	_ = Platform._,
+	ClassManager = require('ClassManager');
+
+/**
+ * @class Platform.ManualScheduler
+ * 
+ * Scheduler with a virtual clock, for testing. Once installed, every function that TaskManager defers or delays is queued
+ * until the test runs it, and time only passes when the test says so. That way each step of the scheduler can be asserted,
+ * without waiting for (or depending on) real timers:
+ * 
+ *     var scheduler = new ManualScheduler();
+ * 
+ *     scheduler.install();
+ *     TaskManager.addTask(ownerId, {fn: fn});
+ *     scheduler.runNext(); // Performs the task
+ *     scheduler.uninstall();
+ */
+ClassManager.define('Platform.ManualScheduler', {
+	/**
+	 * @property {Number} time The current (virtual) time in milliseconds
+	 * @readonly
+	 */
+	time: 0,
+	
+	/**
+	 * @property {Array} jobs Queued jobs, ordered by due time (and order of scheduling)
+	 * @private
+	 */
+	jobs: null,
+	
+	/**
+	 * @property {Number} seq The number of jobs scheduled so far, used as job id
+	 * @private
+	 */
+	seq: 0,
+	
+	/**
+	 * @property {Object} previous The members of the platform adapter that were replaced upon installing (null if not installed)
+	 * @private
+	 */
+	previous: null,
+	
+	/**
+	 * Construct a new instance of this class.
+	 * @constructor
+	 * 
+	 * @param {Number} [time=0] The time to start the virtual clock at
+	 */
+	construct: function(time) {
+		this.time = time || 0;
+		this.jobs = [];
+	},
+	
+	/**
+	 * Take over the timers and clock of the platform (see Platform#use).
+	 */
+	install: function() {
+		if (this.previous) {
+			return;
+		}
+		
+		this.previous = Platform.use({
+			defer: _.bind(this.defer, this),
+			delay: _.bind(this.delay, this),
+			cancel: _.bind(this.cancel, this),
+			now: _.bind(this.now, this)
+		});
+	},
+	
+	/**
+	 * Hand the timers and clock back to the platform adapter that was in use before installing. Queued jobs are dropped.
+	 */
+	uninstall: function() {
+		if (!this.previous) {
+			return;
+		}
+		
+		Platform.use(this.previous);
+		this.previous = null;
+		this.jobs = [];
+	},
+	
+	/**
+	 * Queue a function to be run at the current time.
+	 * 
+	 * @param {Function} fn The function
+	 * @return {Number} The job id
+	 */
+	defer: function(fn) {
+		return this.delay(fn, 0);
+	},
+	
+	/**
+	 * Queue a function to be run once the clock has advanced by the supplied number of milliseconds.
+	 * 
+	 * @param {Function} fn The function
+	 * @param {Number} ms The number of milliseconds
+	 * @return {Number} The job id
+	 */
+	delay: function(fn, ms) {
+		var job = {id: ++this.seq, due: this.time + (ms || 0), fn: fn},
+			idx = this.jobs.length;
+		
+		// Jobs that are due at the same time are run in order of scheduling
+		while (idx > 0 && this.jobs[idx - 1].due > job.due) {
+			idx--;
+		}
+		
+		this.jobs.splice(idx, 0, job);
+		
+		return job.id;
+	},
+	
+	/**
+	 * Remove a queued job.
+	 * 
+	 * @param {Number} id The job id
+	 */
+	cancel: function(id) {
+		this.jobs = _.reject(this.jobs, function(job) {
+			return job.id === id;
+		});
+	},
+	
+	/**
+	 * Get the current (virtual) time.
+	 * 
+	 * @return {Number} The time in milliseconds
+	 */
+	now: function() {
+		return this.time;
+	},
+	
+	/**
+	 * Check if any jobs are queued.
+	 * 
+	 * @param {Boolean} [dueOnly=false] True to only check for jobs that are due, false to include delayed ones
+	 * @return {Boolean} True if jobs are queued, false otherwise
+	 */
+	hasPending: function(dueOnly) {
+		return !!this.jobs.length && (!dueOnly || this.jobs[0].due <= this.time);
+	},
+	
+	/**
+	 * Run the next job that is due, without advancing the clock.
+	 * 
+	 * @return {Boolean} True if a job was run, false if none was due
+	 */
+	runNext: function() {
+		if (!this.hasPending(true)) {
+			return false;
+		}
+		
+		this.jobs.shift().fn();
+		return true;
+	},
+	
+	/**
+	 * Run all jobs that are due, without advancing the clock. Jobs that are scheduled while doing so are left for the next tick.
+	 * 
+	 * @return {Number} The number of jobs that were run
+	 */
+	tick: function() {
+		var due = _.filter(this.jobs, function(job) {
+				return job.due <= this.time;
+			}, this),
+			count = 0;
+		
+		_.each(due, function(job) {
+			// Skip jobs that were cancelled by the ones run before them
+			if (_.contains(this.jobs, job)) {
+				this.jobs = _.without(this.jobs, job);
+				job.fn();
+				count++;
+			}
+		}, this);
+		
+		return count;
+	},
+	
+	/**
+	 * Advance the clock, running all jobs that become due along the way (including those scheduled while doing so).
+	 * 
+	 * @param {Number} ms The number of milliseconds to advance the clock by
+	 * @return {Number} The number of jobs that were run
+	 */
+	advanceTime: function(ms) {
+		var target = this.time + ms,
+			count = 0;
+		
+		while (this.jobs.length && this.jobs[0].due <= target) {
+			this.time = Math.max(this.time, this.jobs[0].due);
+			this.jobs.shift().fn();
+			count++;
+		}
+		
+		this.time = target;
+		return count;
+	},
+	
+	/**
+	 * Run jobs until none are left, advancing the clock to each delayed job in turn.
+	 * 
+	 * @param {Number} [limit=1000] The maximum number of jobs to run
+	 * @return {Number} The number of jobs that were run
+	 * @throws {Error} If jobs are still queued once the limit has been reached (e.g. because they keep rescheduling themselves)
+	 */
+	runAll: function(limit) {
+		var count = 0;
+		
+		limit || (limit = 1000);
+		
+		while (this.jobs.length) {
+			if (count === limit) {
+				throw new Error('Platform.ManualScheduler: Jobs are still queued after running ' + limit + ' of them');
+			}
+			
+			this.time = Math.max(this.time, this.jobs[0].due);
+			this.jobs.shift().fn();
+			count++;
+		}
+		
+		return count;
+	}
+}, module);
@@ -0,0 +1,35 @@
+/**
+ * Adapter for Node, which requires the underscore and backbone packages to be installed.
+ * 
+ * Functions are deferred using setImmediate, so that pending I/O callbacks get their turn in between tasks.
+ * 
+ * @class Platform.Node
+ * @singleton
+ */
+module.exports = {
+	name: 'Node',
+	
+	_: require('underscore'),
+	
+	Events: require('backbone').Events,
+	
+	defer: function(fn) {
+		setImmediate(fn);
+	},
+	
+	delay: function(fn, ms) {
+		return setTimeout(fn, ms);
+	},
+	
+	cancel: function(handle) {
+		clearTimeout(handle);
+	},
+	
+	now: function() {
+		return Date.now();
+	},
+	
+	log: function(msg) {
+		console.log(msg);
+	}
+};
@@ -0,0 +1,35 @@
+var Alloy = require('alloy');
+
+/**
+ * Adapter for Titanium Alloy applications, using the underscore and Backbone libraries that ship with Alloy.
+ * 
+ * @class Platform.Titanium
+ * @singleton
+ */
+module.exports = {
+	name: 'Titanium',
+	
+	_: Alloy._,
+	
+	Events: Alloy.Backbone.Events,
+	
+	defer: function(fn) {
+		setTimeout(fn, 0);
+	},
+	
+	delay: function(fn, ms) {
+		return setTimeout(fn, ms);
+	},
+	
+	cancel: function(handle) {
+		clearTimeout(handle);
+	},
+	
+	now: function() {
+		return +new Date();
+	},
+	
+	log: function(msg) {
+		Ti.API.info(msg);
+	}
+};
@@ -0,0 +1,42 @@
+/**
+ * Adapter for web and React Native builds, which requires the underscore and backbone packages to be bundled.
+ * 
+ * Functions are deferred to the next animation frame, so that tasks are performed in between rendering. Since browsers
+ * don't render hidden pages, setTimeout is used instead while the page is hidden.
+ * 
+ * @class Platform.Web
+ * @singleton
+ */
+module.exports = {
+	name: 'Web',
+	
+	_: require('underscore'),
+	
+	Events: require('backbone').Events,
+	
+	defer: function(fn) {
+		if (typeof requestAnimationFrame === 'function' && !(typeof document !== 'undefined' && document.hidden)) {
+			requestAnimationFrame(function() {
+				fn();
+			});
+		} else {
+			setTimeout(fn, 0);
+		}
+	},
+	
+	delay: function(fn, ms) {
+		return setTimeout(fn, ms);
+	},
+	
+	cancel: function(handle) {
+		clearTimeout(handle);
+	},
+	
+	now: function() {
+		return typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now();
+	},
+	
+	log: function(msg) {
+		console.log(msg);
+	}
+};
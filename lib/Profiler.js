@@ -0,0 +1,260 @@
+var Platform = require('Platform'),
+	_ = Platform._,
+	ClassManager = require('ClassManager');
+
+/**
+ * @class Profiler
+ * 
+ * Records every run of a task and every slice it performs (like a batch of iterations of an IterationTask, or a subtask),
+ * while attached to the TaskManager (see TaskManager#setProfiler).
+ * 
+ * A run lasts from the moment the TaskManager starts (or continues) a task until it settles or is interrupted, which includes
+ * the time an asynchronous task spends waiting. The time it actually blocked the thread is recorded separately.
+ * 
+ * The records can be aggregated per owner and task (see Profiler#getStats), or exported in the Trace Event Format
+ * (see Profiler#exportTrace) to be inspected in chrome://tracing or Perfetto.
+ */
+ClassManager.define('Profiler', {
+	/**
+	 * @property {Array} runs The recorded runs, each a dictionary containing:
+	 * 
+	 * - ownerId - The id of the owner
+	 * - owner - The name of the owner
+	 * - taskId - The id of the task
+	 * - task - The name of the task (or its id if it has none)
+	 * - start - The time the run started (in ms)
+	 * - duration - The time until the task settled or was interrupted (in ms)
+	 * - wait - The time the task spent in line before this run (in ms)
+	 * - blocked - The time the task blocked the thread during this run (in ms)
+	 * - status - The state of the task at the end of the run, or 'interrupted' if it is to be continued (or retried) later
+	 * @readonly
+	 */
+	runs: null,
+	
+	/**
+	 * @property {Array} slices The recorded slices of tasks (see Task.Task#slice), each a dictionary containing ownerId, owner,
+	 *  taskId, task, start, duration and wait (the time the slice waited to be performed, in ms)
+	 * @readonly
+	 */
+	slices: null,
+	
+	/**
+	 * @property {Number} blocked The total time tasks blocked the thread (in ms)
+	 * @readonly
+	 */
+	blocked: 0,
+	
+	/**
+	 * @property {Number} startTs The time recording started
+	 * @private
+	 */
+	startTs: 0,
+	
+	/**
+	 * Construct a new instance of this class.
+	 * @constructor
+	 */
+	construct: function() {
+		this.reset();
+	},
+	
+	/**
+	 * Drop all records and start anew.
+	 */
+	reset: function() {
+		this.runs = [];
+		this.slices = [];
+		this.blocked = 0;
+		this.startTs = Platform.now();
+	},
+	
+	/**
+	 * Start recording a run. Invoked by the TaskManager.
+	 * @private
+	 * 
+	 * @param {Task.Task} task The task
+	 * @param {Task.Owner} owner The owner of the task
+	 * @return {Object} The record of the run
+	 */
+	begin: function(task, owner) {
+		var run = _createRecord(task, owner);
+		
+		run.wait = task.queuedAt ? Math.max(run.start - task.queuedAt, 0) : 0;
+		run.blocked = 0;
+		run.executing = true;
+		
+		// Slices may still be reported after the run ended (by the slice that finished the task), so only stop listening now
+		task.off('slice', null, this);
+		task.on('slice', function(task, start, duration, wait) {
+			var slice = _createRecord(task, owner);
+			
+			slice.start = start;
+			slice.duration = duration;
+			slice.wait = wait;
+			this.slices.push(slice);
+			
+			// The first slice is part of the execution itself, which is accounted for by Profiler#executed
+			if (!run.executing) {
+				run.blocked += duration;
+				this.blocked += duration;
+			}
+		}, this);
+		
+		return run;
+	},
+	
+	/**
+	 * Record the time the synchronous part of a run blocked the thread. Invoked by the TaskManager.
+	 * @private
+	 * 
+	 * @param {Object} run The record of the run
+	 * @param {Number} blockedMs The time (in ms)
+	 */
+	executed: function(run, blockedMs) {
+		delete run.executing;
+		run.blocked += blockedMs;
+		this.blocked += blockedMs;
+	},
+	
+	/**
+	 * Finish recording a run. Invoked by the TaskManager.
+	 * @private
+	 * 
+	 * @param {Object} run The record of the run
+	 * @param {Task.Task} task The task
+	 */
+	end: function(run, task) {
+		run.duration = Platform.now() - run.start;
+		run.status = task.isSettled() ? task.state : 'interrupted';
+		
+		this.runs.push(run);
+	},
+	
+	/**
+	 * Aggregate the recorded runs per owner and task.
+	 * 
+	 * Owners and tasks are grouped by name, so runs of an owner that was registered anew (e.g. for a reopened window) end up together.
+	 * 
+	 * @return {Object} Dictionary containing a dictionary per owner name, which in turn contains the statistics per task name:
+	 * 
+	 * - count - The number of runs
+	 * - p50 - The median duration of the runs (in ms)
+	 * - p95 - The 95th percentile of the durations of the runs (in ms)
+	 * - max - The maximum duration of the runs (in ms)
+	 * - blocked - The total time the runs blocked the thread (in ms)
+	 * - maxBlocked - The maximum time a single run blocked the thread (in ms)
+	 * - wait - The average time tasks spent in line (in ms)
+	 */
+	getStats: function() {
+		var stats = {};
+		
+		_.each(_.groupBy(this.runs, 'owner'), function(runs, owner) {
+			stats[owner] = {};
+			
+			_.each(_.groupBy(runs, 'task'), function(runs, task) {
+				var durations = _.sortBy(_.pluck(runs, 'duration'), _.identity),
+					blocked = _.pluck(runs, 'blocked');
+				
+				stats[owner][task] = {
+					count: runs.length,
+					p50: _percentile(durations, 0.5),
+					p95: _percentile(durations, 0.95),
+					max: _.last(durations),
+					blocked: _sum(blocked),
+					maxBlocked: _.max(blocked),
+					wait: _sum(_.pluck(runs, 'wait')) / runs.length
+				};
+			});
+		});
+		
+		return stats;
+	},
+	
+	/**
+	 * Export the records in the Trace Event Format.
+	 * 
+	 * Each owner is shown as a thread, containing its runs with their slices nested inside them.
+	 * 
+	 * @param {Boolean} [asObject=false] True to return the trace as an object, false to return it as JSON
+	 * @return {String|Object} The trace, which can be loaded in chrome://tracing or Perfetto
+	 */
+	exportTrace: function(asObject) {
+		var threads = {},
+			events = [],
+			trace;
+		
+		_.each(this.runs.concat(this.slices), function(record) {
+			var isRun = _.has(record, 'status');
+			
+			if (!threads[record.ownerId]) {
+				threads[record.ownerId] = _.size(threads) + 1;
+				
+				events.push({
+					name: 'thread_name',
+					ph: 'M',
+					pid: 1,
+					tid: threads[record.ownerId],
+					args: {name: record.owner}
+				});
+			}
+			
+			events.push({
+				name: record.task,
+				cat: isRun ? 'task' : 'slice',
+				ph: 'X',
+				pid: 1,
+				tid: threads[record.ownerId],
+				ts: (record.start - this.startTs) * 1000,
+				dur: record.duration * 1000,
+				args: isRun ? {wait: record.wait, blocked: record.blocked, status: record.status} : {wait: record.wait}
+			});
+		}, this);
+		
+		trace = {traceEvents: events, displayTimeUnit: 'ms'};
+		
+		return asObject ? trace : JSON.stringify(trace);
+	}
+}, module);
+
+/**
+ * Create a record for the supplied task.
+ * @private
+ * 
+ * @param {Task.Task} task The task
+ * @param {Task.Owner} owner The owner of the task
+ * @return {Object} The record, starting now
+ */
+function _createRecord(task, owner) {
+	return {
+		ownerId: owner.id,
+		owner: owner.name,
+		taskId: task.id,
+		task: task.name || String(task.id),
+		start: Platform.now()
+	};
+}
+
+/**
+ * Get a percentile of the supplied values (nearest-rank).
+ * @private
+ * 
+ * @param {Array} sorted The values, sorted in ascending order
+ * @param {Number} p The percentile (between 0 and 1)
+ * @return {Number} The value
+ */
+function _percentile(sorted, p) {
+	return sorted[Math.max(Math.ceil(p * sorted.length) - 1, 0)];
+}
+
+/**
+ * Sum the supplied values.
+ * @private
+ * 
+ * @param {Array} values The values
+ * @return {Number} The sum
+ */
+function _sum(values) {
+	return _.reduce(values, function(sum, value) {
+		return sum + value;
+	}, 0);
+}
@@ -0,0 +1,34 @@
+var ClassManager = require('ClassManager');
+
+/**
+ * @class Storage.Memory
+ * 
+ * Storage backend that keeps the data in memory, for testing or as a stand-in on platforms without persistent storage.
+ * 
+ * The data is kept as JSON, so it behaves like a persistent backend: what is read is a copy of what was written.
+ */
+ClassManager.define('Storage.Memory', {
+	/**
+	 * @property {String} json The stored data (null if nothing was written)
+	 * @private
+	 */
+	json: null,
+	
+	/**
+	 * Read the stored data.
+	 * 
+	 * @return {Object} The data, or null if nothing was written
+	 */
+	read: function() {
+		return this.json ? JSON.parse(this.json) : null;
+	},
+	
+	/**
+	 * Replace the stored data.
+	 * 
+	 * @param {Object} data The data (which has to be serializable)
+	 */
+	write: function(data) {
+		this.json = JSON.stringify(data);
+	}
+}, module);
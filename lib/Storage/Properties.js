@@ -0,0 +1,42 @@
+var ClassManager = require('ClassManager');
+
+/**
+ * @class Storage.Properties
+ * 
+ * Storage backend that keeps the data in the Titanium app properties (Ti.App.Properties).
+ */
+ClassManager.define('Storage.Properties', {
+	/**
+	 * @property {String} key The name of the property containing the data
+	 * @readonly
+	 */
+	key: 'TaskManager',
+	
+	/**
+	 * Construct a new instance of this class.
+	 * @constructor
+	 * 
+	 * @param {String} [key="TaskManager"] The name of the property containing the data
+	 */
+	construct: function(key) {
+		key && (this.key = key);
+	},
+	
+	/**
+	 * Read the stored data.
+	 * 
+	 * @return {Object} The data, or null if nothing was written
+	 */
+	read: function() {
+		return Ti.App.Properties.getObject(this.key, null);
+	},
+	
+	/**
+	 * Replace the stored data.
+	 * 
+	 * @param {Object} data The data (which has to be serializable)
+	 */
+	write: function(data) {
+		Ti.App.Properties.setObject(this.key, data);
+	}
+}, module);
@@ -0,0 +1,121 @@
+var Platform = require('Platform'),
+	_ = Platform._,
+	ClassManager = require('ClassManager');
+
+/**
+ * @class Task.CancelToken
+ * 
+ * Token that signals the cancellation of a task, modelled after the AbortSignal found in browsers.
+ * 
+ * A running task can check the aborted-property at convenient moments, or listen for the 'abort' event,
+ * to stop its work as soon as possible after it was cancelled.
+ */
+ClassManager.define('Task.CancelToken', {
+	/**
+	 * @property {Boolean} aborted True once the task has been cancelled, false otherwise
+	 * @readonly
+	 */
+	aborted: false,
+	
+	/**
+	 * @property {Error} reason The error describing why the task was cancelled (null if not cancelled)
+	 * @readonly
+	 */
+	reason: null,
+	
+	/**
+	 * @property {Function} onabort Function that is invoked (with an event object) when the task is cancelled
+	 */
+	onabort: null,
+	
+	/**
+	 * @property {Array} listeners Functions listening for the 'abort' event
+	 * @private
+	 */
+	listeners: null,
+	
+	/**
+	 * Construct a new instance of this class.
+	 * @constructor
+	 */
+	construct: function() {
+		this.listeners = [];
+	},
+	
+	/**
+	 * Listen for the cancellation of the task.
+	 * 
+	 * @param {"abort"} type The event type (only 'abort' is supported)
+	 * @param {Function} listener Function that receives an event object once the task is cancelled
+	 */
+	addEventListener: function(type, listener) {
+		type === 'abort' && this.listeners.push(listener);
+	},
+	
+	/**
+	 * Stop listening for the cancellation of the task.
+	 * 
+	 * @param {"abort"} type The event type (only 'abort' is supported)
+	 * @param {Function} listener The function that was added earlier
+	 */
+	removeEventListener: function(type, listener) {
+		type === 'abort' && (this.listeners = _.without(this.listeners, listener));
+	},
+	
+	/**
+	 * Throw the reason of cancellation if the task was cancelled.
+	 * 
+	 * @throws {Error} If the task was cancelled
+	 */
+	throwIfAborted: function() {
+		if (this.aborted) {
+			throw this.reason;
+		}
+	},
+	
+	/**
+	 * Signal the cancellation. Only invoked by the task this token belongs to.
+	 * 
+	 * An error thrown by onabort or a listener is logged, so it can't keep the other listeners from being invoked
+	 * (or the task from settling).
+	 * 
+	 * @param {Error} reason The error describing why the task was cancelled
+	 * @param {Function} [log=Platform.log] Function that logs the errors thrown by onabort and the listeners
+	 */
+	cancel: function(reason, log) {
+		var listeners = this.listeners,
+			event;
+		
+		if (this.aborted) {
+			return;
+		}
+		
+		this.aborted = true;
+		this.reason = reason;
+		this.listeners = [];
+		
+		event = {type: 'abort', target: this};
+		
+		this.onabort && _invokeListener(this, this.onabort, event, log);
+		_.each(listeners, function(listener) {
+			_invokeListener(this, listener, event, log);
+		}, this);
+	}
+}, module);
+
+/**
+ * Invoke a function listening for the cancellation, logging the error it throws (if any).
+ * @private
+ * 
+ * @param {Task.CancelToken} token The token that was cancelled
+ * @param {Function} listener The listener
+ * @param {Object} event The event object
+ * @param {Function} [log=Platform.log] Function that logs the error
+ */
+function _invokeListener(token, listener, event, log) {
+	try {
+		listener.call(token, event);
+	} catch (e) {
+		(log || Platform.log)('Error: Task.CancelToken: A function listening for the cancellation threw: ' + e);
+	}
+}
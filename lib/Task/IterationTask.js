@@ -1,4 +1,5 @@
-var _ = require('alloy')._,
+var Platform = require('Platform'),
+	_ = Platform._,
 	ClassManager = require('ClassManager');
 
 /**
@@ -9,12 +10,26 @@ var _ = require('alloy')._,
  * 
  * Note that the list you add will only be evaluated the moment the task is executed.
  * 
- * This Task does no currently support asynchronous iterators. If your iterator performs an asynchronous task
- * (e.g. when performing a cloud call) then the iterations will be perfomed (partially) in a parallel fashion.
+ * Asynchronous iterators are supported as well: either return a thenable from fn, or mark the task async and
+ * invoke the done(err, value) callback that is appended to fn's arguments. The concurrency setting determines how many
+ * iterations may be in flight at once; the next element is only started once a slot frees up. Reductions are always
+ * performed serially.
+ * 
+ * An IterationTask can be paused (or suspended) while running. It then stops at its next slice and continues from
+ * its current iteration once performed again. Iterations that are in flight at that moment are allowed to finish.
  */
 ClassManager.define('Task.IterationTask', {
 	extend: 'Task/Task',
 	
+	/**
+	 * @event slice
+	 * Fired after each slice of iterations that was performed in one go.
+	 * @param {Task.IterationTask} task This task
+	 * @param {Number} start The time the slice started (in ms)
+	 * @param {Number} duration The time the slice took (in ms)
+	 * @param {Number} wait The time since the previous slice yielded (in ms), 0 for the first slice of a run
+	 */
+	
 	/**
 	 * @property {Number} step The number of iteration to perform before checking if a new Task got precedence.
 	 * 
@@ -22,6 +37,31 @@ ClassManager.define('Task.IterationTask', {
 	 */
 	step: 1,
 	
+	/**
+	 * @property {Number} budgetMs The time (in ms) to keep iterating before checking if a new Task got precedence.
+	 * 
+	 * When set, this replaces the fixed step count: the iteration keeps going until the budget is spent (unless adaptive).
+	 */
+	budgetMs: 0,
+	
+	/**
+	 * @property {Boolean} adaptive True to tune the step count from the measured cost of each iteration, so that a slice
+	 * roughly fits budgetMs without having to check the clock after every iteration. Only applies if budgetMs is set.
+	 */
+	adaptive: false,
+	
+	/**
+	 * @property {Number} concurrency The maximum number of (asynchronous) iterations that may be in flight at the same time.
+	 * 
+	 * Ignored for reductions, since each iteration depends on the result of the previous one.
+	 */
+	concurrency: 1,
+	
+	/**
+	 * @inheritdoc
+	 */
+	suspendable: true,
+	
 	/**
 	 * @property {Boolean} isArray True if an array is to be traversed, false if it is an object instead
 	 * @readonly
@@ -56,6 +96,12 @@ ClassManager.define('Task.IterationTask', {
 	 */
 	currentIteration: -1,
 	
+	/**
+	 * @property {Object} iterationsInFlight Dictionary containing the indices of the iterations that are in flight
+	 * @private
+	 */
+	iterationsInFlight: null,
+	
 	statics: {
 		/**
 		 * @property {Object} type The iteration types to choose from
@@ -77,16 +123,47 @@ ClassManager.define('Task.IterationTask', {
 	 * @constructor
 	 * @localdoc
 	 * @param {String} [config.type=Task.IterationTask.type.EACH] One of the IterationTask.type values 
+	 * @param {Number} [config.concurrency=1] The maximum number of asynchronous iterations in flight at once
+	 * @param {Number} [config.budgetMs] The time (in ms) to keep iterating before checking if a new Task got precedence
+	 * @param {Boolean} [config.adaptive=false] True to tune the step count to budgetMs from the measured iteration cost
 	 */
 	construct: function(config) {
 		this.list = config.list;
 		this.iterationType = config.type || this.statics.type.EACH;
 		
 		config.step && (this.step = config.step);
+		config.budgetMs && (this.budgetMs = config.budgetMs);
+		this.adaptive = !!config.adaptive;
+		
+		if (this.iterationType !== this.statics.type.REDUCE && config.concurrency > 1) {
+			this.concurrency = config.concurrency;
+		}
 		
 		this.statics.parent.construct.call(this, config);
 	},
 	
+	/**
+	 * @inheritdoc
+	 * @localdoc Iterating starts over from the first element.
+	 */
+	rewind: function() {
+		this.statics.parent.rewind.call(this);
+		this.currentIteration = -1;
+	},
+	
+	/**
+	 * Get the progress of this iteration.
+	 * 
+	 * With asynchronous iterations in flight, this is the first iteration that has yet to finish.
+	 * 
+	 * @return {Number} The index of the first iteration that has not been performed (completely)
+	 */
+	getProgress: function() {
+		var inFlight = _.keys(this.iterationsInFlight || {});
+		
+		return inFlight.length ? Math.min.apply(Math, inFlight) : Math.max(this.currentIteration, 0);
+	},
+	
 	/**
 	 * Execute this task.
 	 * 
@@ -99,9 +176,17 @@ ClassManager.define('Task.IterationTask', {
 			context = this.context || owner.origin,
 			state = this.statics.state,
 			me = this,
-			nextIteration, iterate, length, onComplete;
+			inFlight = 0,
+			finished = 0,
+			launching = false,
+			yielding = false,
+			halted = false,
+			sliceStart = 0,
+			sliceFinished = 0,
+			yieldTs = 0,
+			launch, slice, iterate, settle, halt, stopTimeout, length;
 
-		if (this.state === state.ACTIVE || this.state === state.COMPLETE) {
+		if (this.state === state.ACTIVE || this.isSettled()) {
 			return this.result; // This should never happen (but make sure to never execute twice)
 		}
 
@@ -113,13 +198,13 @@ ClassManager.define('Task.IterationTask', {
 		}
 		
 		// When mapping set up an empty array or object
-		if (!this.result && this.type === this.statics.type.MAP) {
+		if (!this.result && this.iterationType === this.statics.type.MAP) {
 			this.result = isArray ? new Array(this.list.length) : {};
 		}
 		
 		// Get the proper iterator, based on the iteration type
 		if (!this.iterator) {
-			switch (this.type) {
+			switch (this.iterationType) {
 				case (this.statics.type.MAP):
 					this.iterator = isArray ? _mapArray(this, context) : _mapDictionary(this, context);
 					break;
@@ -133,49 +218,98 @@ ClassManager.define('Task.IterationTask', {
 			}
 		}
 		
-		// Invoked when the iteration is complete
-		onComplete = function() {
-			me.state = state.COMPLETE;
-			// Alert this task's owner
-			owner.completed(me, manualOverride);
-			// Invoke the (optional) callback
-			me.callback && me.callback.call(me.context, me.result);
-			// Continue
-			next(me.result);
+		// Invoked when the iteration is complete, failed, or was cancelled or interrupted midway
+		halt = function(err) {
+			if (halted) {
+				return;
+			}
+			
+			halted = true;
+			stopTimeout();
+			
+			if (me.state === state.ACTIVE) {
+				me.finish(owner, next, manualOverride, err, me.result);
+			} else {
+				next(); // Cancelled or interrupted midway; nothing left to finish (for now), but do let the TaskManager carry on
+			}
 		};
 		
-		// Invoked after each iteration
-		nextIteration = function() {
-			var idx = me.currentIteration;
+		// Start as many iterations as there are free slots
+		launch = function() {
+			yielding = false;
 			
 			// Only iterate if we are (still) expected to
-			if (me.state !== state.ACTIVE && me.state !== state.PENDING) {
+			if (me.state !== state.ACTIVE) {
+				inFlight || halt();
 				return;
 			}
-					
-			if (idx < length) {
-				idx % me.step === 0 ? _.defer(iterate) : iterate();
-			} else {
-				onComplete();
+			
+			launching = true;
+			while (!yielding && !halted && inFlight < me.concurrency && me.currentIteration < length) {
+				inFlight++;
+				iterate(me.currentIteration++);
 			}
+			launching = false;
+			
+			// Catch the empty list
+			me.currentIteration >= length && !inFlight && halt();
+		};
+		
+		// Start a new slice
+		slice = function() {
+			sliceStart = Platform.now();
+			sliceFinished = 0;
+			launch();
+			
+			me.triggerSlice(sliceStart, Platform.now() - sliceStart, yieldTs ? sliceStart - yieldTs : 0);
 		};
 		
-		// The iterator
-		iterate = function() {
-			me.iterator(me.currentIteration);
-			me.currentIteration++;
-			nextIteration();
+		// Perform a single iteration
+		iterate = function(idx) {
+			me.iterationsInFlight[idx] = true;
+			me.iterator(idx, function(err) {
+				delete me.iterationsInFlight[idx];
+				settle(err);
+			});
 		};
 		
+		// Invoked after each iteration
+		settle = function(err) {
+			inFlight--;
+			finished++;
+			sliceFinished++;
+			
+			if (halted) {
+				return;
+			} else if (err || me.state !== state.ACTIVE) {
+				halt(err);
+			} else if (me.currentIteration >= length) {
+				inFlight || halt();
+			} else if (_isSliceSpent(me, sliceFinished, sliceStart)) {
+				// Give other tasks (and the user) a chance before continuing
+				if (!yielding) {
+					yielding = true;
+					yieldTs = Platform.now();
+					Platform.defer(slice);
+				}
+			} else if (!launching) {
+				launch();
+			}
+		};
+		
+		this.currentIteration < 0 && (this.currentIteration = 0);
+		this.iterationsInFlight = {};
 		this.state = state.ACTIVE;
+		this.settle = halt;
+		stopTimeout = this.startTimeout(halt);
 		// Execute
-		iterate();
+		slice();
 	}
 }, module);
 
 
 /**
- * Returns an iterator used to mimic [Underscore's map](http://underscorejs.org/#each) behavior on arrays.
+ * Returns an iterator used to mimic [Underscore's each](http://underscorejs.org/#each) behavior on arrays.
  * @private
  * 
  * @param {Task.Task} task The task that defines this iteration
@@ -184,8 +318,8 @@ ClassManager.define('Task.IterationTask', {
 function _eachArray(task, context) {
 	var list = task.list;
 	
-	return function(idx) {
-		task.fn.call(context, list[idx], idx, list);
+	return function(idx, done) {
+		_invoke(task, context, [list[idx], idx, list], null, done);
 	};
 }
 
@@ -199,13 +333,15 @@ function _eachArray(task, context) {
 function _mapArray(task, context) {
 	var list = task.list;
 	
-	return function(idx) {
-		task.result[idx] = task.fn.call(context, list[idx], idx, list);
+	return function(idx, done) {
+		_invoke(task, context, [list[idx], idx, list], function(value) {
+			task.result && (task.result[idx] = value);
+		}, done);
 	};
 }
 
 /**
- * Returns an iterator used to mimic [Underscore's map](http://underscorejs.org/#reduce) behavior on arrays.
+ * Returns an iterator used to mimic [Underscore's reduce](http://underscorejs.org/#reduce) behavior on arrays.
  * @private
  * 
  * @param {Task.Task} task The task that defines this iteration
@@ -214,25 +350,26 @@ function _mapArray(task, context) {
 function _reduceArray(task, context) {
 	var list = task.list;
 	
-	return function(idx) {
-		task.result = task.fn.call(context, task.result, list[idx], idx, list);
+	return function(idx, done) {
+		_invoke(task, context, [task.result, list[idx], idx, list], function(value) {
+			task.result = value;
+		}, done);
 	};
 }
 
 /**
- * Returns an iterator used to mimic [Underscore's map](http://underscorejs.org/#each) behavior on objects.
+ * Returns an iterator used to mimic [Underscore's each](http://underscorejs.org/#each) behavior on objects.
  * @private
  * 
  * @param {Task.Task} task The task that defines this iteration
  * @param {Object} context The context in which to execute each iteration
  */
 function _eachDictionary(task, context) {
-	var list = task.list,
-		keys = task.keys;
+	var list = task.list;
 	
-	return function(idx) {
-		var key = keys[idx];
-		task.fn.call(context, list[key], key, list);
+	return function(idx, done) {
+		var key = task.keys[idx];
+		_invoke(task, context, [list[key], key, list], null, done);
 	};
 }
 
@@ -244,28 +381,110 @@ function _eachDictionary(task, context) {
  * @param {Object} context The context in which to execute each iteration
  */
 function _mapDictionary(task, context) {
-	var list = task.list,
-		keys = task.keys;
+	var list = task.list;
 		
-	return function(idx) {
-		var key = keys[idx];
-		task.result[key] = task.fn.call(context, list[key], key, list);
+	return function(idx, done) {
+		var key = task.keys[idx];
+		_invoke(task, context, [list[key], key, list], function(value) {
+			task.result && (task.result[key] = value);
+		}, done);
 	};
 }
 
 /**
- * Returns an iterator used to mimic [Underscore's map](http://underscorejs.org/#reduce) behavior on objects.
+ * Returns an iterator used to mimic [Underscore's reduce](http://underscorejs.org/#reduce) behavior on objects.
  * @private
  * 
  * @param {Task.Task} task The task that defines this iteration
  * @param {Object} context The context in which to execute each iteration
  */
 function _reduceDictionary(task, context) {
-	var list = task.list,
-		keys = task.keys;
+	var list = task.list;
+	
+	return function(idx, done) {
+		var key = task.keys[idx];
+		_invoke(task, context, [task.result, list[key], key, list], function(value) {
+			task.result = value;
+		}, done);
+	};
+}
+
+/**
+ * Check if the current slice of the supplied task is spent, meaning it should give other tasks a chance.
+ * @private
+ * 
+ * Without a budget, a slice is spent after the fixed number of steps. With a budget, it is spent once the budget has been used up.
+ * In adaptive mode the step count is tuned from the measured cost of the iterations at the end of each slice instead.
+ * 
+ * @param {Task.IterationTask} task The task that is iterating
+ * @param {Number} sliceFinished The number of iterations that finished during this slice
+ * @param {Number} sliceStart The timestamp at which this slice started
+ * @return {Boolean} True if the slice is spent, false otherwise
+ */
+function _isSliceSpent(task, sliceFinished, sliceStart) {
+	var elapsed;
+	
+	if (!task.budgetMs || task.adaptive) {
+		if (sliceFinished < task.step) {
+			return false;
+		}
+		
+		if (task.budgetMs) {
+			// Fit the next slice into the budget, but don't grow too fast based on a single measurement
+			elapsed = Math.max(Platform.now() - sliceStart, 1);
+			task.step = Math.max(1, Math.min(task.step * 2, Math.floor(task.budgetMs * sliceFinished / elapsed)));
+		}
+		
+		return true;
+	}
+	
+	return Platform.now() - sliceStart >= task.budgetMs;
+}
+
+/**
+ * Invoke the task's fn for a single iteration and signal once it has settled.
+ * @private
+ * 
+ * Synchronous iterations settle right away, asynchronous ones once their thenable settles or their done-callback is invoked.
+ * An error thrown by fn settles the iteration with that error.
+ * 
+ * @param {Task.Task} task The task that defines this iteration
+ * @param {Object} context The context in which to execute the iteration
+ * @param {Array} args The arguments to pass to fn
+ * @param {Function} [store] Function that stores the value produced by this iteration
+ * @param {Function} done Function that receives an error (if any) once the iteration has settled
+ */
+function _invoke(task, context, args, store, done) {
+	var settled = false,
+		settle, returned;
+	
+	settle = function(err, value) {
+		if (settled) {
+			return;
+		}
 		
-	return function(idx) {
-		var key = keys[idx];
-		task.result = task.fn.call(context, task.result, list[key], key, list);
+		settled = true;
+		!err && store && store(value);
+		done(err);
 	};
+	
+	task.cancellable && (args = args.concat([task.signal]));
+	task.async && (args = args.concat([settle]));
+	
+	try {
+		returned = task.fn.apply(context, args);
+	} catch (err) {
+		settle(err);
+		return;
+	}
+	
+	if (task.statics.isThenable(returned)) {
+		returned.then(function(value) {
+			settle(null, value);
+		}, function(err) {
+			settle(err || new Error('Iteration rejected without a reason'));
+		});
+	} else if (!task.async) {
+		settle(null, returned);
+	}
 }
\ No newline at end of file
@@ -1,15 +1,50 @@
-var _ = require('alloy')._,
+var Platform = require('Platform'),
+	_ = Platform._,
 	ClassManager = require('ClassManager'),
 	Task = require('Task/Task'),
-	IterationTask = require('Task/IterationTask'),
-	_log = Ti.API.info;
+	IterationTask = require('Task/IterationTask');
 
 /**
  * @class Task.Owner
+ * @mixins Backbone.Events
  * 
  * Representation of task owner.
  */
 ClassManager.define('Task.Owner', {
+	mixins: [Platform.Events],
+	
+	/**
+	 * @event task:start
+	 * Fired when the TaskManager starts (or continues) performing one of this owner's tasks.
+	 * @param {Task.Task} task The task
+	 */
+	
+	/**
+	 * @event task:complete
+	 * Fired when one of this owner's tasks has been completed.
+	 * @param {Task.Task} task The task
+	 * @param {Mixed} result The result of the task
+	 */
+	
+	/**
+	 * @event task:error
+	 * Fired whenever performing one of this owner's tasks fails.
+	 * @param {Task.Task} task The task
+	 * @param {Error} err The error
+	 */
+	
+	/**
+	 * @event activated
+	 * Fired when this owner is activated (see TaskManager#activate).
+	 * @param {Task.Owner} owner This owner
+	 */
+	
+	/**
+	 * @event unregistered
+	 * Fired right before this owner is destroyed, after which all listeners are removed.
+	 * @param {Task.Owner} owner This owner
+	 */
+	
 	/**
 	 * @property {String} id The unique ID of this Task Owner
 	 */
@@ -31,20 +66,84 @@ ClassManager.define('Task.Owner', {
 	tasks: null,
 	
 	/**
-	 * @property {Array} taskOrder Collection of task id's that need to be performed at some point (superset containing all tasks in order)
+	 * @property {Array} taskOrder Collection of task id's that need to be performed at some point (superset containing all tasks in order).
+	 * 
+	 * Serves as a priority queue: ordered by descending task priority, and in order of addition among tasks of equal priority.
 	 */
 	taskOrder: null,
 	
 	/**
-	 * @property {Task.Task} liveTask The task currently executing (or scheduled for execution)
+	 * @property {Object} liveTasks Dictionary containing the tasks currently executing (or scheduled for execution), by id
+	 */
+	liveTasks: null,
+	
+	/**
+	 * @property {Array} liveOrder The ids of the liveTasks, in the order they went live
+	 */
+	liveOrder: null,
+	
+	/**
+	 * @property {Number} maxConcurrent The maximum number of this owner's tasks that may be in flight at once (0 for no limit
+	 *  other than that of the TaskManager, see TaskManager#setMaxConcurrent)
 	 */
-	liveTask: null,
+	maxConcurrent: 0,
+	
+	/**
+	 * @property {String} parentId The id of the owner this owner is nested in (null for a top-level owner)
+	 * @readonly
+	 */
+	parentId: null,
+	
+	/**
+	 * @property {Array} childIds The ids of the owners nested in this owner, in order of registration
+	 * @readonly
+	 */
+	childIds: null,
 	
 	/**
 	 * @property {Object} completedTasks Dictionary containing all tasks that have been performed
 	 */
 	completedTasks: null,
 	
+	/**
+	 * @property {Object} failedTasks Dictionary containing all tasks that have failed (and won't be retried anymore)
+	 */
+	failedTasks: null,
+	
+	/**
+	 * @property {Object} cancelledTasks Dictionary containing all tasks that have been cancelled
+	 */
+	cancelledTasks: null,
+	
+	/**
+	 * @property {Boolean} paused True if none of this owner's tasks are to be performed until it is resumed
+	 * @readonly
+	 */
+	paused: false,
+	
+	/**
+	 * @property {Function} lookup Function that retrieves another (registered) owner by its id, used to resolve
+	 *  cross-owner dependencies. Receives the owner id and returns the Task.Owner, or null if it does not exist.
+	 */
+	lookup: null,
+	
+	/**
+	 * @property {Function} logger Function that logs the supplied message (null to use Platform#log)
+	 */
+	logger: null,
+	
+	/**
+	 * @property {Object} taskTypes Dictionary containing the definitions of the task types that task definitions may refer to, by name
+	 */
+	taskTypes: null,
+	
+	/**
+	 * @property {Function} lookupKey Function that retrieves a pending task by its key among all registered owners, used for
+	 *  keys that are shared across owners (see Task.Task#keyScope). Receives the key and returns a dictionary containing the
+	 *  owner and the task, or null if not found.
+	 */
+	lookupKey: null,
+	
 	/**
 	 * Construct a new instance of this class.
 	 * 
@@ -52,16 +151,23 @@ ClassManager.define('Task.Owner', {
 	 * 
 	 * @param {String} name The (non-unique) name of this owner
 	 * @param {Object} origin The owner object
+	 * @param {Function} [lookup] Function that retrieves other owners by id (see Task.Owner#lookup)
 	 */
-	construct: function(name, origin) {
+	construct: function(name, origin, lookup) {
 		this.name = name;
 		this.origin = origin;
+		this.lookup = lookup || null;
 		
 		this.id = 'o' + _ownerCounter++;
 		
 		// Initialize the task collections
+		this.childIds = [];
 		this.tasks = {};
+		this.liveTasks = {};
+		this.liveOrder = [];
 		this.completedTasks = {};
+		this.failedTasks = {};
+		this.cancelledTasks = {};
 		
 		this.taskOrder = [];
 	},
@@ -72,29 +178,60 @@ ClassManager.define('Task.Owner', {
 	 * If instead of a Task.Task instance, its definition is passed, the presence of the 'iterate' property will turn
 	 * it into a Task.IterationTask.
 	 * 
+	 * A definition that refers to a task type (see Task.Owner#taskTypes) is merged onto the definition of that type, so it
+	 * only has to contain what differs (like the arguments). The iterate and retry dictionaries are merged per property.
+	 * 
+	 * A task with a key may be absorbed by a pending task with the same key (see Task.Task#duplicate), in which case that task
+	 * is returned instead. When it replaces the pending task instead, that task is cancelled.
+	 * 
 	 * @param {Task.Task|Object} task A task instance or task definition
 	 * @param {String} [task.id] (Locally) Unique ID of this task (only required if referenced)
+	 * @param {String} [task.type] The name of the task type that defines the rest of this task. For an IterationTask, this
+	 *  may be one of the Task.IterationTask.type values instead (like task.iterate.type), unless a task type by that name exists.
 	 * @param {Boolean} [task.activeOnly=false] True if the task only needs to be performed when owner is active
-	 * @param {Object} [task.subTasks] Dictionary containing (ordered) subtasks
+	 * @param {Array} [task.subTasks] Ordered subtasks (instances or definitions, which may in turn contain subtasks)
+	 * @param {Boolean} [task.parallel=false] True to start all subtasks at once, false to perform them one after another
+	 * @param {Number} [task.priority=0] The priority of this task within this owner (higher goes first)
+	 * @param {Array} [task.dependsOn] Ids of the tasks that have to be completed first (use "ownerId:taskId" for tasks of other owners)
 	 * @param {Object} [task.iterate] Iteration details for an IterationTask
 	 * @param {Object|Array} [task.iterate.list] The array or dictionary to iterate over
 	 * @param {Number} [task.iterate.step=1] The number of iterations to perform before checking for other tasks
+	 * @param {String} [task.iterate.type="each"] One of the Task.IterationTask.type values
+	 * @param {Number} [task.iterate.concurrency=1] The maximum number of asynchronous iterations in flight at once
+	 * @param {Number} [task.iterate.budgetMs] The time (in ms) to keep iterating before checking for other tasks (replaces step)
+	 * @param {Boolean} [task.iterate.adaptive=false] True to tune step to budgetMs from the measured iteration cost
+	 * @return {Task.Task} The task that was added (or the pending task that absorbed it)
+	 * @throws {Error} If the task refers to an unknown task type
 	 */
 	add: function(task) {
-		var config;
-		
-		if (!(task instanceof Task)) {
-			if (task.iterate) {
-				config = _.extend({}, task, task.iterate);
-				delete config.iterate;
-				task = new IterationTask(config);
-			} else {
-				task = new Task(task);
-			}
+		var cycle, duplicate;
+		
+		task = _createTask(task, this.taskTypes);
+		duplicate = _findDuplicate(this, task);
+		
+		if (duplicate && duplicate.task.absorb(task)) {
+			return duplicate.task;
 		}
 		
+		cycle = _findCycle(this, task);
+		
+		if (cycle) {
+			throw new Error('Task.Owner: Adding task "' + task.id + '" would create a dependency cycle (' + cycle.join(' -> ') + ')');
+		}
+		
+		duplicate && duplicate.owner.cancel(duplicate.task.id, 'Replaced by a newer task with key "' + task.key + '"');
+		
 		this.tasks[task.id] = task;
-		this.taskOrder.push(task.id);
+		
+		// A delayed task is only put in line once it is due (see Task.Owner#requeue)
+		if (task.dueAt > Platform.now()) {
+			return task;
+		}
+		
+		task.dueAt = 0;
+		_enqueueTask(this, task);
+		
+		return task;
 	},
 	
 	/**
@@ -106,7 +243,22 @@ ClassManager.define('Task.Owner', {
 	get: function(taskId) {
 		return  this.tasks[taskId] ||
 				this.completedTasks[taskId] ||
-				(this.liveTask && this.liveTask.id === taskId ? this.liveTask : null);
+				this.failedTasks[taskId] ||
+				this.cancelledTasks[taskId] ||
+				this.liveTasks[taskId] ||
+				null;
+	},
+	
+	/**
+	 * Retrieve the pending task with the supplied key (see Task.Task#key).
+	 * 
+	 * @param {String} key The key
+	 * @return {Task.Task} The task, or null if none is pending (i.e. waiting in line, paused or awaiting a retry)
+	 */
+	findByKey: function(key) {
+		return _.find(this.tasks, function(task) {
+			return task.key === key;
+		}) || null;
 	},
 	
 	/**
@@ -119,17 +271,44 @@ ClassManager.define('Task.Owner', {
 		var task = this.tasks[taskId];
 		
 		if (!task) {
-			_log('Error: task not found (setNext)');
+			_log(this, 'Error: task not found (setNext)');
 			return false; // Task does not exist, is already active, or has already been completed
 		}
 		
 		// Remove the task from this owner's todo-list
 		if (!_removeTask(this, taskId)) {
-			_log('Error: task not removed (setNext)');
+			_log(this, 'Error: task not removed (setNext)');
+			return false;
+		}
+		
+		_goLive(this, task);
+		return true;
+	},
+	
+	/**
+	 * Change the priority of a pending task.
+	 * 
+	 * The task is moved behind all other tasks of the same priority.
+	 * 
+	 * @param {String|Number} taskId The Task's id
+	 * @param {Number} priority The new priority (higher goes first)
+	 * @return {Boolean} True if this operation succeeded, false otherwise (e.g. if the task is no longer pending)
+	 */
+	setPriority: function(taskId, priority) {
+		var task = this.tasks[taskId];
+		
+		if (!task) {
 			return false;
 		}
 		
-		this.liveTask = task;
+		task.priority = priority;
+		
+		// A task that is not in line (e.g. awaiting its delay) takes its new priority along once it is put in line
+		if (_removeTask(this, taskId)) {
+			this.tasks[taskId] = task;
+			_enqueueTask(this, task);
+		}
+		
 		return true;
 	},
 	
@@ -138,56 +317,318 @@ ClassManager.define('Task.Owner', {
 	 * 
 	 * The task is immediately removed from memory, so it has to be executed.
 	 * 
+	 * Paused tasks and tasks whose prerequisites have not all been completed yet are skipped (see Task.Owner#isReady).
+	 * Nothing is returned while this owner is paused.
+	 * 
+	 * Idle tasks (see Task.Task#idle) are skipped, unless quietMs is passed and exceeds the time they wait for.
+	 * 
+	 * Nothing is returned either while this owner has as many tasks in flight as it may (see Task.Owner#maxConcurrent).
+	 * 
 	 * @param {Boolean} isActive True if this owner is currently active, false otherwise
+	 * @param {Number} [quietMs] The time (in ms) since the last normal task ran, to include idle tasks
+	 * @param {Function} [accept] Function that receives each task that could be performed, and returns false to skip it
 	 * @return {Task.Task} The next task to perform, or null if no (valid) task exists (anymore)
 	 */
-	getNext: function(isActive) {
+	getNext: function(isActive, quietMs, accept) {
 		// Return early if there are no tasks left
-		if (!this.taskOrder.length) {
+		if (this.paused || !this.taskOrder.length || this.isFull()) {
 			return null;
 		}
 		
-		var taskId, task, i, ln;
+		var found = -1,
+			taskId, task, i, ln;
 		
-		if (isActive) {
-			taskId = this.taskOrder.shift();
-		} else {
-			for (i = 0, ln = this.taskOrder.length; i < ln && !taskId; i++) {
-				task = this.tasks[this.taskOrder[i]];
-				if (!task.activeOnly) {
-					taskId = this.taskOrder.splice(i, 1);
-				}
-			}
-			
-			if (!taskId) {
-				_log('['+this.name+ ']: No task left in this owner');
-				return null; // No valid task left
+		for (i = 0, ln = this.taskOrder.length; i < ln && found === -1; i++) {
+			task = this.tasks[this.taskOrder[i]];
+			if (_isEligible(this, task, isActive) && (!task.idle || quietMs >= task.idle.afterMs) && (!accept || accept(task))) {
+				found = i;
 			}
 		}
 		
+		if (found === -1) {
+			_log(this, '['+this.name+ ']: No task left in this owner');
+			return null; // No valid task left
+		}
+		
+		taskId = this.taskOrder.splice(found, 1)[0];
 		task = this.tasks[taskId];
 		delete this.tasks[taskId];
-		this.liveTask = task;
+		_goLive(this, task);
 		
 		return task;
 	},
 	
+	/**
+	 * Check if this owner has as many tasks in flight as it may (see Task.Owner#maxConcurrent).
+	 * 
+	 * @return {Boolean} True if no more tasks may be started, false otherwise
+	 */
+	isFull: function() {
+		return !!this.maxConcurrent && _.size(this.liveTasks) >= this.maxConcurrent;
+	},
+	
+	/**
+	 * Check if any of this owner's tasks are in flight.
+	 * 
+	 * @return {Boolean} True if a task is executing (or scheduled for execution), false otherwise
+	 */
+	isBusy: function() {
+		return !_.isEmpty(this.liveTasks);
+	},
+	
+	/**
+	 * Get the time until the first of this owner's idle tasks may be performed (see Task.Task#idle).
+	 * 
+	 * While this owner is paused or full (see Task.Owner#isFull), no idle task is considered to be waiting, and neither are the
+	 * tasks that accept refuses. Whatever holds them up is expected to trigger another check.
+	 * 
+	 * @param {Boolean} isActive True if this owner is currently active, false otherwise
+	 * @param {Number} quietMs The time (in ms) since the last normal task ran
+	 * @param {Function} [accept] Function that receives each idle task that could be performed, and returns false to skip it
+	 * @return {Number} The time (in ms, 0 if one may be performed right away), or -1 if no idle task is waiting
+	 */
+	getIdleDelay: function(isActive, quietMs, accept) {
+		var delay = -1;
+		
+		if (this.paused || this.isFull()) {
+			return delay;
+		}
+		
+		_.each(this.taskOrder, function(taskId) {
+			var task = this.tasks[taskId],
+				wait;
+			
+			if (task.idle && _isEligible(this, task, isActive) && (!accept || accept(task))) {
+				wait = Math.max(task.idle.afterMs - quietMs, 0);
+				(delay === -1 || wait < delay) && (delay = wait);
+			}
+		}, this);
+		
+		return delay;
+	},
+	
+	/**
+	 * Check if all prerequisites of the supplied task have been completed.
+	 * 
+	 * A prerequisite that cannot be found (e.g. because its owner was unregistered) is never considered complete.
+	 * 
+	 * @param {Task.Task} task The task to check
+	 * @return {Boolean} True if the task may be performed, false otherwise
+	 */
+	isReady: function(task) {
+		return _.every(task.dependsOn || [], function(ref) {
+			var dependency = _parseDependency(this, ref);
+			
+			return !!(dependency.owner && dependency.owner.completedTasks && dependency.owner.completedTasks[dependency.taskId]);
+		}, this);
+	},
+	
+	/**
+	 * Find a prerequisite of the supplied task that failed or was cancelled, meaning the task can never be performed.
+	 * 
+	 * @param {Task.Task} task The task to check
+	 * @return {Task.Task} The prerequisite, or null if none of them failed or was cancelled
+	 */
+	getFailedPrerequisite: function(task) {
+		var prerequisite = null;
+		
+		_.find(task.dependsOn || [], function(ref) {
+			var dependency = _parseDependency(this, ref),
+				owner = dependency.owner;
+			
+			if (owner && owner.failedTasks) {
+				prerequisite = owner.failedTasks[dependency.taskId] || owner.cancelledTasks[dependency.taskId] || null;
+			}
+			
+			return !!prerequisite;
+		}, this);
+		
+		return prerequisite;
+	},
+	
+	/**
+	 * Check if any of this owner's pending tasks depends on the supplied task.
+	 * 
+	 * @param {Task.Owner} owner The owner of the task
+	 * @param {String|Number} taskId The id of the task
+	 * @return {Boolean} True if at least one pending task is waiting for it, false otherwise
+	 */
+	awaits: function(owner, taskId) {
+		return _.some(this.tasks, function(task) {
+			return _.some(task.dependsOn || [], function(ref) {
+				var dependency = _parseDependency(this, ref);
+				
+				return dependency.owner === owner && String(dependency.taskId) === String(taskId);
+			}, this);
+		}, this);
+	},
+	
 	/**
 	 * Mark the supplied task as completed (provided this owner was aware of its execution)
 	 * 
+	 * An asynchronous task remains one of this owner's liveTasks until it settles and this method is invoked.
+	 * 
 	 * @param {Task.Task} task The task that was completed
 	 * @param {Boolean} manualOverride True if this task was performed in an alternative fashion, false otherwise
 	 */
 	completed: function(task, manualOverride) {
-		if (manualOverride) {
-			// Remove the task from this owner's todo-list
-			_removeTask(this, task.id);
-		} else if (task !== this.liveTask) {
-			// This owner was not responsible for execution of this task
-			return;
+		if (_release(this, task, manualOverride)) {
+			this.completedTasks[task.id] = task;
 		}
-			
-		this.completedTasks[task.id] = task;
+	},
+	
+	/**
+	 * Mark the supplied task as failed (provided this owner was aware of its execution)
+	 * 
+	 * A task that is to be retried (or run again) remains known to this owner, but is only put back in line by Task.Owner#requeue.
+	 * 
+	 * @param {Task.Task} task The task that failed
+	 * @param {Boolean} manualOverride True if this task was performed in an alternative fashion, false otherwise
+	 */
+	failed: function(task, manualOverride) {
+		if (task.isSettled()) {
+			_release(this, task, manualOverride) && (this.failedTasks[task.id] = task);
+		} else {
+			this.postpone(task, manualOverride);
+		}
+	},
+	
+	/**
+	 * Take back a task that has been performed, but is to be performed again later on (provided this owner was aware of its execution).
+	 * 
+	 * The task remains known to this owner, but is only put back in line by Task.Owner#requeue.
+	 * 
+	 * @param {Task.Task} task The task
+	 * @param {Boolean} manualOverride True if this task was performed in an alternative fashion, false otherwise
+	 */
+	postpone: function(task, manualOverride) {
+		_release(this, task, manualOverride) && (this.tasks[task.id] = task);
+	},
+	
+	/**
+	 * Put a task that is due back in line (after its delay, a retry delay or the interval of a recurring task).
+	 * 
+	 * @param {Task.Task} task The task that is waiting
+	 * @return {Boolean} True if the task was put back in line, false otherwise (e.g. if it was cancelled in the meantime)
+	 */
+	requeue: function(task) {
+		if (!this.tasks || this.tasks[task.id] !== task || task.isSettled() || _.contains(this.taskOrder, task.id)) {
+			return false;
+		}
+		
+		task.dueAt = 0;
+		_enqueueTask(this, task);
+		return true;
+	},
+	
+	/**
+	 * Cancel a pending or running task (see Task.Task#cancel).
+	 * 
+	 * @param {String|Number} taskId The Task's id
+	 * @param {String|Error} [reason] The reason for cancelling
+	 * @return {Boolean} True if the task was cancelled, false otherwise (e.g. if it does not exist or has already settled)
+	 */
+	cancel: function(taskId, reason) {
+		var task = this.tasks[taskId];
+		
+		if (task) {
+			_removeTask(this, taskId) || delete this.tasks[taskId]; // Not in line if awaiting a retry
+		} else if (this.liveTasks[taskId]) {
+			task = this.liveTasks[taskId];
+			_leaveLive(this, task);
+		} else {
+			return false;
+		}
+		
+		this.cancelledTasks[taskId] = task;
+		
+		return task.cancel(reason);
+	},
+	
+	/**
+	 * Pause a task, or this owner as a whole.
+	 * 
+	 * A paused task keeps its position in line, but is skipped until resumed. A running IterationTask is stopped at its
+	 * next slice and put back in front of the tasks of equal priority, to be continued from where it stopped once resumed.
+	 * 
+	 * Pausing the owner as a whole prevents all of its tasks from being performed, and interrupts its running IterationTasks
+	 * in the same way (without pausing the tasks themselves).
+	 * 
+	 * @param {String|Number} [taskId] The Task's id (omit to pause the owner)
+	 * @return {Boolean} True if this operation succeeded, false otherwise
+	 */
+	pause: function(taskId) {
+		var task;
+		
+		if (taskId === undefined) {
+			this.paused = true;
+			this.interrupt();
+			return true;
+		}
+		
+		task = this.tasks[taskId] || this.liveTasks[taskId];
+		
+		if (!task || !task.pause()) {
+			return false;
+		}
+		
+		task === this.liveTasks[taskId] && _requeueLiveTask(this, task);
+		return true;
+	},
+	
+	/**
+	 * Resume a paused task, or this owner as a whole.
+	 * 
+	 * @param {String|Number} [taskId] The Task's id (omit to resume the owner)
+	 * @return {Boolean} True if this operation succeeded, false otherwise
+	 */
+	resume: function(taskId) {
+		var task;
+		
+		if (taskId === undefined) {
+			this.paused = false;
+			return true;
+		}
+		
+		task = this.tasks[taskId];
+		
+		return !!task && task.resume();
+	},
+	
+	/**
+	 * Interrupt a live task (if possible) and put it back in line, to be continued once this owner gets its turn again.
+	 * 
+	 * Only tasks that have yet to start or can be suspended (like an IterationTask) are interrupted.
+	 * 
+	 * When interrupting all live tasks, they are put back in line in the order they went live.
+	 * 
+	 * @param {String|Number} [taskId] The Task's id (omit to interrupt all live tasks)
+	 * @return {Boolean} True if the live task (or any of them) was interrupted, false otherwise
+	 */
+	interrupt: function(taskId) {
+		var interrupted = false;
+		
+		if (taskId !== undefined) {
+			return !!this.liveTasks[taskId] && _interruptLiveTask(this, this.liveTasks[taskId]);
+		}
+		
+		// Each task is put back in front of the others, so start with the one that went live last
+		_.each(this.getLiveTasks().reverse(), function(task) {
+			interrupted = _interruptLiveTask(this, task) || interrupted;
+		}, this);
+		
+		return interrupted;
+	},
+	
+	/**
+	 * Retrieve the live tasks of this owner.
+	 * 
+	 * @return {Array} The live tasks, in the order they went live (see Task.Owner#liveOrder)
+	 */
+	getLiveTasks: function() {
+		return _.map(this.liveOrder, function(taskId) {
+			return this.liveTasks[taskId];
+		}, this);
 	},
 	
 	/**
@@ -204,12 +645,17 @@ ClassManager.define('Task.Owner', {
 	 */
 	destroy: function() {
 		// Pass the word
-		this.liveTask && this.liveTask.destroy();
+		_destroyTasks(this.liveTasks);
 		_destroyTasks(this.tasks);
+		this.off();
 		// Clear memory (just to be sure)
 		this.tasks = null;
+		this.liveTasks = null;
+		this.liveOrder = null;
 		this.taskOrder = null;
 		this.completedTasks = null;
+		this.failedTasks = null;
+		this.cancelledTasks = null;
 	}
 }, module);
 
@@ -219,6 +665,164 @@ ClassManager.define('Task.Owner', {
  */
 var _ownerCounter = 0;
 
+/**
+ * Turn the supplied task definition (including any subtask definitions it contains) into a task instance.
+ * @private
+ * 
+ * @param {Task.Task|Object} task A task instance or task definition (see Task.Owner#add)
+ * @param {Object} [types] Dictionary containing the definitions of the task types, by name
+ * @return {Task.Task} The task instance
+ * @throws {Error} If the definition refers to an unknown task type
+ */
+function _createTask(task, types) {
+	var config;
+	
+	if (task instanceof Task) {
+		return task;
+	}
+	
+	// The type of an IterationTask may still be one of the iteration types, as long as no task type goes by that name
+	if (task.type && !(task.iterate && _.contains(_.values(IterationTask.type), task.type) && !(types && types[task.type]))) {
+		config = _resolveType(task, types);
+	} else {
+		config = _.extend({}, task);
+	}
+	
+	if (config.subTasks) {
+		config.subTasks = _.map(config.subTasks, function(subTask) {
+			return _createTask(subTask, types);
+		});
+	}
+	
+	if (config.iterate) {
+		_.extend(config, config.iterate);
+		delete config.iterate;
+		return new IterationTask(config);
+	}
+	
+	return new Task(config);
+}
+
+/**
+ * Find the pending task that has the same key as the supplied task.
+ * @private
+ * 
+ * @param {Task.Owner} owner The owner the task is added to
+ * @param {Task.Task} task The task
+ * @return {Object} Dictionary containing the owner and the pending task, or null if not found
+ */
+function _findDuplicate(owner, task) {
+	var duplicate;
+	
+	if (!task.key) {
+		return null;
+	} else if (task.keyScope === 'global' && owner.lookupKey) {
+		return owner.lookupKey(task.key);
+	}
+	
+	duplicate = owner.findByKey(task.key);
+	return duplicate ? {owner: owner, task: duplicate} : null;
+}
+
+/**
+ * Merge the supplied task definition onto the definition of the task type it refers to.
+ * @private
+ * 
+ * @param {Object} task The task definition
+ * @param {Object} [types] Dictionary containing the definitions of the task types, by name
+ * @return {Object} The merged definition
+ * @throws {Error} If the task type is unknown
+ */
+function _resolveType(task, types) {
+	var type = types && types[task.type],
+		config;
+	
+	if (!type) {
+		throw new Error('Task.Owner: Unknown task type "' + task.type + '" (known types: ' + (_.keys(types || {}).join(', ') || 'none') + ')');
+	}
+	
+	config = _.extend({}, type, task);
+	
+	_.each(['iterate', 'retry'], function(key) {
+		type[key] && task[key] && (config[key] = _.extend({}, type[key], task[key]));
+	});
+	
+	config.taskType = task.type;
+	delete config.type;
+	
+	return config;
+}
+
+/**
+ * Split the supplied dependency reference into the owner and the id of the task it refers to.
+ * @private
+ * 
+ * References without an owner prefix ("taskId") refer to tasks of the supplied owner, others ("ownerId:taskId") 
+ * are resolved through the owner's lookup function.
+ * 
+ * @param {Task.Owner} owner The owner of the task that holds the reference
+ * @param {String|Number} ref The dependency reference
+ * @return {Object} Dictionary containing the owner (or null if not found) and the taskId
+ */
+function _parseDependency(owner, ref) {
+	var idx;
+	
+	ref = String(ref);
+	idx = ref.indexOf(':');
+	
+	if (idx === -1) {
+		return {owner: owner, taskId: ref};
+	}
+	
+	return {
+		owner: owner.lookup ? owner.lookup(ref.slice(0, idx)) : null,
+		taskId: ref.slice(idx + 1)
+	};
+}
+
+/**
+ * Look for a dependency cycle that would be introduced by adding the supplied task to the owner.
+ * @private
+ * 
+ * @param {Task.Owner} owner The owner the task is to be added to
+ * @param {Task.Task} task The task that is to be added
+ * @return {Array} The references that make up the cycle, or null if there is none
+ */
+function _findCycle(owner, task) {
+	var target = owner.id + ':' + task.id,
+		visited = {},
+		visit;
+	
+	visit = function(currentOwner, current, path) {
+		var cycle = null;
+		
+		_.find(current.dependsOn || [], function(ref) {
+			var dependency = _parseDependency(currentOwner, ref),
+				key, next;
+			
+			if (!dependency.owner) {
+				return false;
+			}
+			
+			key = dependency.owner.id + ':' + dependency.taskId;
+			
+			if (key === target) {
+				cycle = path.concat([key]);
+			} else if (!visited[key]) {
+				visited[key] = true;
+				next = dependency.owner.get(dependency.taskId);
+				next && !next.isComplete() && (cycle = visit(dependency.owner, next, path.concat([key])));
+			}
+			
+			return !!cycle;
+		});
+		
+		return cycle;
+	};
+	
+	return visit(owner, task, [target]);
+}
+
 /**
  * Destroy all pending tasks.
  * @private
@@ -233,6 +837,132 @@ function _destroyTasks(tasks) {
 	}
 }
 
+/**
+ * Check if the supplied task may be performed now (apart from waiting for the app to be idle).
+ * @private
+ * 
+ * @param {Task.Owner} owner The owner of the task
+ * @param {Task.Task} task The task
+ * @param {Boolean} isActive True if the owner is currently active, false otherwise
+ * @return {Boolean} True if the task is pending, allowed to run for the owner and ready (see Task.Owner#isReady)
+ */
+function _isEligible(owner, task, isActive) {
+	return task.state === task.statics.state.PENDING && (isActive || !task.activeOnly) && owner.isReady(task);
+}
+
+/**
+ * Insert a task into its owner's todo-list, behind all tasks of equal or higher priority.
+ * @private
+ * 
+ * @param {Task.Owner} owner The owner of the task
+ * @param {Task.Task} task The task to insert
+ * @param {Boolean} [first=false] True to insert the task in front of the tasks of equal priority instead
+ */
+function _enqueueTask(owner, task, first) {
+	var taskOrder = owner.taskOrder,
+		low = 0,
+		high = taskOrder.length,
+		mid;
+	
+	// Binary search for the first task with a lower priority
+	while (low < high) {
+		mid = (low + high) >>> 1;
+		
+		if (owner.tasks[taskOrder[mid]].priority > task.priority || (!first && owner.tasks[taskOrder[mid]].priority === task.priority)) {
+			low = mid + 1;
+		} else {
+			high = mid;
+		}
+	}
+	
+	taskOrder.splice(low, 0, task.id);
+	task.queuedAt = Platform.now();
+}
+
+/**
+ * Interrupt a live task of the supplied owner (if possible) and put it back in line.
+ * @private
+ * 
+ * A live task that has yet to start is put back as-is, a running one only if it can be suspended.
+ * 
+ * @param {Task.Owner} owner The owner of the task
+ * @param {Task.Task} task The live task
+ * @return {Boolean} True if the live task was interrupted, false otherwise
+ */
+function _interruptLiveTask(owner, task) {
+	if (task.state !== task.statics.state.PENDING && !task.suspend()) {
+		return false;
+	}
+	
+	_requeueLiveTask(owner, task);
+	return true;
+}
+
+/**
+ * Release a task that has been performed from the supplied owner.
+ * @private
+ * 
+ * @param {Task.Owner} owner The owner of the task
+ * @param {Task.Task} task The task that has been performed
+ * @param {Boolean} manualOverride True if this task was performed in an alternative fashion, false otherwise
+ * @return {Boolean} True if the owner was responsible for this task, false otherwise
+ */
+function _release(owner, task, manualOverride) {
+	if (manualOverride) {
+		// Remove the task from this owner's todo-list
+		if (!_removeTask(owner, task.id) && owner.liveTasks[task.id] !== task) {
+			if (owner.tasks[task.id] !== task) {
+				return false; // Not one of ours (e.g. a subtask)
+			}
+			
+			delete owner.tasks[task.id]; // Not in line because it was awaiting a retry
+		}
+	} else if (owner.liveTasks[task.id] !== task) {
+		// This owner was not responsible for execution of this task
+		return false;
+	}
+	
+	owner.liveTasks[task.id] === task && _leaveLive(owner, task);
+	return true;
+}
+
+/**
+ * Put an (interrupted) live task back in line, in front of the tasks of equal priority.
+ * @private
+ * 
+ * @param {Task.Owner} owner The owner of the task
+ * @param {Task.Task} task The live task
+ */
+function _requeueLiveTask(owner, task) {
+	_leaveLive(owner, task);
+	owner.tasks[task.id] = task;
+	_enqueueTask(owner, task, true);
+}
+
+/**
+ * Make the supplied task one of the live tasks of the owner.
+ * @private
+ * 
+ * @param {Task.Owner} owner The owner of the task
+ * @param {Task.Task} task The task
+ */
+function _goLive(owner, task) {
+	owner.liveTasks[task.id] = task;
+	owner.liveOrder.push(task.id);
+}
+
+/**
+ * Remove the supplied task from the live tasks of the owner.
+ * @private
+ * 
+ * @param {Task.Owner} owner The owner of the task
+ * @param {Task.Task} task The live task
+ */
+function _leaveLive(owner, task) {
+	delete owner.liveTasks[task.id];
+	owner.liveOrder = _.without(owner.liveOrder, task.id);
+}
+
 /**
  * Remove a task from its owner's todo-list.
  * @private
@@ -259,3 +989,14 @@ function _removeTask(owner, taskId) {
 	delete owner.tasks[taskId];
 	return true;
 }
+
+/**
+ * Log the supplied message through the logger of the supplied owner.
+ * @private
+ * 
+ * @param {Task.Owner} owner The owner
+ * @param {String} msg The message
+ */
+function _log(owner, msg) {
+	(owner.logger || Platform.log)(msg);
+}
\ No newline at end of file
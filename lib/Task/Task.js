@@ -1,12 +1,47 @@
-var _ = require('alloy')._,
-	ClassManager = require('ClassManager');
+var Platform = require('Platform'),
+	_ = Platform._,
+	ClassManager = require('ClassManager'),
+	CancelToken = require('Task/CancelToken');
 
 /**
  * @class Task.Task
+ * @mixins Backbone.Events
  * 
  * Representation of task.
  */
 ClassManager.define('Task.Task', {
+	mixins: [Platform.Events],
+	
+	/**
+	 * @event start
+	 * Fired when the TaskManager starts (or continues) performing this task.
+	 * @param {Task.Task} task This task
+	 */
+	
+	/**
+	 * @event complete
+	 * Fired when this task has been completed.
+	 * @param {Mixed} result The result of this task
+	 * @param {Task.Task} task This task
+	 */
+	
+	/**
+	 * @event error
+	 * Fired whenever performing this task fails (including attempts that will be retried).
+	 * @param {Error} err The error
+	 * @param {Task.Task} task This task
+	 */
+	
+	/**
+	 * @event slice
+	 * Fired after each subtask that was performed apart from the execution of this task (and after each later slice of a
+	 * subtask that is an IterationTask).
+	 * @param {Task.Task} task This task
+	 * @param {Number} start The time the slice started (in ms)
+	 * @param {Number} duration The time the slice took (in ms)
+	 * @param {Number} wait The time the slice waited to be performed (in ms)
+	 */
+	
 	/**
 	 * @property {String|Number} id The (locally) unique ID of the Task
 	 */
@@ -32,6 +67,11 @@ ClassManager.define('Task.Task', {
 	 */
 	activeOnly: 0,
 	
+	/**
+	 * @property {Number} priority The priority of this task within its owner. Tasks with a higher priority are performed first.
+	 */
+	priority: 0,
+	
 	/**
 	 * @property {Object} context The context in which to execute this task
 	 */
@@ -42,6 +82,19 @@ ClassManager.define('Task.Task', {
 	 */
 	subTasks: null,
 	
+	/**
+	 * @property {Array} dependsOn Ids of the tasks that have to be completed before this task may be performed.
+	 * 
+	 * Tasks of other owners are referenced as "ownerId:taskId". If one of them fails or is cancelled, this task is cancelled
+	 * as well (with an error that refers to the one of the prerequisite as its cause).
+	 */
+	dependsOn: null,
+	
+	/**
+	 * @property {Boolean} parallel True if all subtasks are to be started at once, false to perform them one after another
+	 */
+	parallel: false,
+	
 	/**
 	 * @property {Mixed} result The result of the task, or the intermediate result of a serial subtask if still being executed
 	 */
@@ -52,6 +105,167 @@ ClassManager.define('Task.Task', {
 	 */
 	callback: null,
 	
+	/**
+	 * @property {Function} onError Function to call whenever performing this Task fails (receives the error and this task)
+	 */
+	onError: null,
+	
+	/**
+	 * @property {Object} retry The policy for retrying this task when it fails (null to never retry)
+	 * @property {Number} retry.attempts The maximum number of times to retry
+	 * @property {Number} [retry.backoffMs=0] The delay (in ms) before the first retry
+	 * @property {Number} [retry.factor=2] The factor by which the delay grows with each subsequent retry
+	 */
+	retry: null,
+	
+	/**
+	 * @property {Number} timeoutMs The time (in ms) this task may take to settle, after which it fails (0 for no timeout)
+	 */
+	timeoutMs: 0,
+	
+	/**
+	 * @property {Boolean} timedOut True if the last attempt at performing this task timed out, false otherwise
+	 * @readonly
+	 */
+	timedOut: false,
+	
+	/**
+	 * @property {Number} failures The number of times performing this task has failed
+	 * @readonly
+	 */
+	failures: 0,
+	
+	/**
+	 * @property {Number} queuedAt The time this task was (last) put in line by its owner
+	 * @readonly
+	 */
+	queuedAt: 0,
+	
+	/**
+	 * @property {Boolean} async True if fn receives a done(err, result) callback as its last argument and signals completion through it
+	 */
+	async: false,
+	
+	/**
+	 * @property {Error} error The error thrown by fn, passed by an asynchronous fn (or the reason its returned thenable was rejected),
+	 * or the reason this task was cancelled. Null once the task has been completed.
+	 * @readonly
+	 */
+	error: null,
+	
+	/**
+	 * @property {Task.CancelToken} signal Token that signals the cancellation of this task
+	 * @readonly
+	 */
+	signal: null,
+	
+	/**
+	 * @property {Function} logger Function that logs the errors thrown by the hooks and listeners of this task (null to use
+	 *  Platform#log). Set by the TaskManager.
+	 */
+	logger: null,
+	
+	/**
+	 * @property {Boolean} cancellable True if the signal is to be passed to fn (appended to its arguments, in front of the done-callback)
+	 */
+	cancellable: false,
+	
+	/**
+	 * @property {Boolean} persistent True if this task is kept in storage until it has been performed (see TaskManager#addTask)
+	 * @readonly
+	 */
+	persistent: false,
+	
+	/**
+	 * @property {String} taskType The name of the task type this task was defined by (see TaskManager#defineTaskType), if any
+	 * @readonly
+	 */
+	taskType: null,
+	
+	/**
+	 * @property {String} key Key shared by tasks that perform the same work. While a task with this key is pending, adding
+	 *  another one is handled according to the duplicate policy of the latter (see Task.Task#duplicate).
+	 */
+	key: null,
+	
+	/**
+	 * @property {"owner"|"global"} keyScope Where to look for a pending task with the same key: within the owner only, or
+	 *  across all owners
+	 */
+	keyScope: 'owner',
+	
+	/**
+	 * @property {"drop"|"replace"|"coalesce"} duplicate What to do when this task is added while a task with the same key is pending.
+	 *  One of the Task.Task#duplicate values.
+	 */
+	duplicate: 'drop',
+	
+	/**
+	 * @property {Function} coalesce Function that merges the arguments of this task into those of the pending task with the same key
+	 *  (see Task.Task#duplicate). Receives the arguments of the pending task and those of this task, and returns the merged arguments.
+	 */
+	coalesce: null,
+	
+	/**
+	 * @property {Object} idle The policy for performing this task in the background (null for a normal task). An idle task
+	 *  is only performed once no normal task has run for a while, and yields as soon as normal work arrives.
+	 * @property {Number} [idle.afterMs=0] The time (in ms) that no normal task should have run for
+	 */
+	idle: null,
+	
+	/**
+	 * @property {Boolean} exclusive True if this task may not overlap any other task, i.e. it only starts once no other task
+	 *  is in flight, and no other task starts until it has finished (see TaskManager#setMaxConcurrent)
+	 */
+	exclusive: false,
+	
+	/**
+	 * @property {String} category The name of the rate limit this task is subject to (see TaskManager#defineRateLimit), if any
+	 */
+	category: null,
+	
+	/**
+	 * @property {Number} interval The time (in ms) between the end of a run and the start of the next, for tasks that are to be
+	 *  performed repeatedly (0 for tasks that are performed once). A recurring task only settles after its last run.
+	 */
+	interval: 0,
+	
+	/**
+	 * @property {Number} repeat The number of times a recurring task is to be performed (see Task.Task#interval)
+	 */
+	repeat: Infinity,
+	
+	/**
+	 * @property {Number} runs The number of times a recurring task has been performed so far, including failed runs
+	 * @readonly
+	 */
+	runs: 0,
+	
+	/**
+	 * @property {Number} dueAt The time at which this task is due to be put (back) in line, while it waits for its delay,
+	 *  a retry or its next run (0 otherwise)
+	 * @readonly
+	 */
+	dueAt: 0,
+	
+	/**
+	 * @property {Boolean} suspendable True if this task can be interrupted while running, to be continued later on
+	 * @readonly
+	 */
+	suspendable: false,
+	
+	/**
+	 * @property {Function} settle Function that settles the current execution of this task (only set while active)
+	 * @private
+	 */
+	settle: null,
+	
+	/**
+	 * @property {Array} settleCallbacks Functions that are to be invoked once this task has settled
+	 * @private
+	 */
+	settleCallbacks: null,
+	
 	/**
 	 * @property {String} state The current state of this task
 	 * @readonly
@@ -66,6 +280,7 @@ ClassManager.define('Task.Task', {
 		 * @property {String} state.COMPLETE This task has been completed 
 		 * @property {String} state.CANCELLED This task was cancelled
 		 * @property {String} state.PAUSED This task was paused
+		 * @property {String} state.FAILED This task failed (and won't be retried anymore)
 		 * @static
 		 */
 		state: {
@@ -73,7 +288,33 @@ ClassManager.define('Task.Task', {
 			ACTIVE: 'active',
 			COMPLETE: 'complete',
 			CANCELLED: 'cancelled',
-			PAUSED: 'paused'
+			PAUSED: 'paused',
+			FAILED: 'failed'
+		},
+		
+		/**
+		 * @property {Object} duplicate Dictionary containing the policies for tasks added while a task with the same key is pending.
+		 * @property {String} duplicate.DROP Drop the new task (the pending task performs the work)
+		 * @property {String} duplicate.REPLACE Cancel the pending task in favor of the new task (latest wins)
+		 * @property {String} duplicate.COALESCE Merge the arguments of the new task into those of the pending task (see Task.Task#coalesce),
+		 *  and drop the new task
+		 * @static
+		 */
+		duplicate: {
+			DROP: 'drop',
+			REPLACE: 'replace',
+			COALESCE: 'coalesce'
+		},
+		
+		/**
+		 * Check if the supplied value is a thenable (a Promise or Promise-like object).
+		 * 
+		 * @param {Mixed} value The value to check
+		 * @return {Boolean} True if value exposes a then-method, false otherwise
+		 * @static
+		 */
+		isThenable: function(value) {
+			return !!value && (_.isObject(value) || _.isFunction(value)) && _.isFunction(value.then);
 		}
 	},
 	
@@ -89,6 +330,33 @@ ClassManager.define('Task.Task', {
 	 * @param {Function} [config.callback] A function that will be called as soon as the task has been performed
 	 * @param {Boolean} [config.activeOnly=false] True if this task should only be performed while the owner is active,
 	 *  false otherwise.
+	 * @param {Number} [config.priority=0] The priority of this task within its owner (higher goes first)
+	 * @param {Boolean} [config.async=false] True if fn signals completion by calling the done(err, result) callback
+	 *  that is appended to its arguments. Regardless of this flag, a thenable returned by fn is waited upon.
+	 * @param {Function} [config.onError] A function that will be called whenever performing the task fails
+	 * @param {Object} [config.retry] The policy for retrying the task when it fails (see Task.Task#retry)
+	 * @param {Number} [config.timeoutMs] The time (in ms) the task may take to settle, after which it fails
+	 * @param {Boolean} [config.cancellable=false] True to pass the Task.CancelToken of this task to fn (appended to its
+	 *  arguments, in front of the done-callback)
+	 * @param {Array} [config.subTasks] Ordered Task.Task instances that make up this task. If present, fn is not invoked
+	 *  and the result of this task will be an array containing the results of its subtasks.
+	 * @param {Boolean} [config.parallel=false] True to start all subtasks at once, false to perform them one after another
+	 * @param {String|Array} [config.dependsOn] Id(s) of the task(s) that have to be completed first ("ownerId:taskId" for
+	 *  tasks of other owners)
+	 * @param {String} [config.key] Key shared by tasks that perform the same work (see Task.Task#key)
+	 * @param {"owner"|"global"} [config.keyScope="owner"] Where to look for a pending task with the same key
+	 * @param {"drop"|"replace"|"coalesce"} [config.duplicate] What to do when added while a task with the same key is pending.
+	 *  Defaults to "coalesce" if config.coalesce is set, "drop" otherwise.
+	 * @param {Function} [config.coalesce] Function that merges the arguments (see Task.Task#coalesce)
+	 * @param {Number} [config.delayMs] The time (in ms) to wait before putting the task in line
+	 * @param {Date|Number|String} [config.runAt] The (wall clock) time at which to put the task in line (replaces config.delayMs)
+	 * @param {Number} [config.interval] The time (in ms) between the end of a run and the start of the next, to perform the task repeatedly
+	 * @param {Number} [config.repeat=Infinity] The number of times to perform a recurring task
+	 * @param {Object|Boolean} [config.idle] The policy for performing the task in the background (see Task.Task#idle), or
+	 *  true to perform it as soon as no normal task is left
+	 * @param {Boolean} [config.exclusive=false] True if the task may not overlap any other task
+	 * @param {String} [config.category] The name of the rate limit the task is subject to (see Task.Task#category)
+	 * @throws {Error} If the duplicate policy is "coalesce", but config.coalesce is not set
 	 */
 	construct: function(config) {
 		this.fn = config.fn;
@@ -100,13 +368,55 @@ ClassManager.define('Task.Task', {
 		}
 		
 		this.activeOnly = !!config.activeOnly;
+		this.priority = config.priority || 0;
+		this.async = !!config.async;
+		this.cancellable = !!config.cancellable;
+		this.exclusive = !!config.exclusive;
+		this.persistent = !!config.persistent;
+		config.taskType && (this.taskType = config.taskType);
+		config.category && (this.category = config.category);
+		
+		if (config.key) {
+			this.key = config.key;
+			config.keyScope && (this.keyScope = config.keyScope);
+			config.coalesce && (this.coalesce = config.coalesce);
+			this.duplicate = config.duplicate || (this.coalesce ? this.statics.duplicate.COALESCE : this.statics.duplicate.DROP);
+			
+			if (this.duplicate === this.statics.duplicate.COALESCE && !this.coalesce) {
+				throw new Error('Task.Task: Task with key "' + this.key + '" should define coalesce to coalesce duplicates');
+			}
+		}
 		this.id = config.id || ('t' + _taskIdCounter++);
 		
 		config.name && (this.name = config.name);
 		config.context && (this.context = config.context);
-		config.callback && (this.callback - config.callback);
+		config.callback && (this.callback = config.callback);
+		config.onError && (this.onError = config.onError);
+		config.timeoutMs && (this.timeoutMs = config.timeoutMs);
+		config.retry && (this.retry = _.defaults({}, config.retry, {backoffMs: 0, factor: 2}));
 		config.subTasks && (this.subTasks = config.subTasks);
+		this.parallel = !!config.parallel;
+		
+		if (config.dependsOn) {
+			this.dependsOn = _.isArray(config.dependsOn) ? config.dependsOn : [config.dependsOn];
+		}
+		
+		if (config.runAt) {
+			// The platform clock need not be the wall clock (see Platform#now), so convert the time to a delay
+			this.dueAt = Platform.now() + Math.max(new Date(config.runAt).getTime() - Date.now(), 0) || 0;
+		} else if (config.delayMs) {
+			this.dueAt = Platform.now() + config.delayMs;
+		}
 		
+		if (config.interval) {
+			this.interval = config.interval;
+			config.repeat && (this.repeat = config.repeat);
+		}
+		
+		config.idle && (this.idle = _.defaults(_.isObject(config.idle) ? _.clone(config.idle) : {}, {afterMs: 0}));
+		
+		this.signal = new CancelToken();
+		this.settleCallbacks = [];
 		this.state = this.statics.state.PENDING;
 	},
 	
@@ -115,32 +425,267 @@ ClassManager.define('Task.Task', {
 	 * 
 	 * Note that toggling manualOverride has no impact on standard tasks with no subtasks.
 	 * 
+	 * Each subtask is performed in a slice of its own (deferred), so the app remains responsive in between. The task
+	 * only completes once all of its subtasks have completed.
+	 * 
 	 * When manualOverride is toggled to true, this task is executed asap and any subtasks it contains won't be deferred. 
 	 * Instead they are run back-to-back until they're all finished.
 	 * 
+	 * The task completes as soon as fn returns, unless fn returns a thenable (in which case it completes once that settles) or
+	 * the task was marked async (in which case it completes once fn invokes the done-callback it was passed).
+	 * 
+	 * If fn throws (or signals an error), the task fails and is either retried later on (see Task.Task#retry) or settles
+	 * in the FAILED state. The same goes for a task that does not settle within its timeout, in which case its signal is aborted.
+	 * A cancelled task releases the TaskManager right away; whatever fn signals afterwards is ignored.
+	 * 
 	 * @param {Task.Owner} owner The owner that defines the context in which this task is executed (unless bound to a context when created)
 	 * @param {Function} next Function that tells the TaskManager to schedule the next task
 	 * @param {Boolean} [manualOverride=false] True if called outside of the normal flow of TaskManager, false otherwise
 	 */
 	execute: function(owner, next, manualOverride) {
-		if (this.state === this.statics.state.ACTIVE || this.state === this.statics.state.COMPLETE) {
+		var me = this,
+			settled = false,
+			args, returned, done, stopTimeout;
+		
+		if (this.state === this.statics.state.ACTIVE || this.isSettled()) {
 			return this.result; // This should never happen (but make sure to never execute twice)
 		}
-
+		
+		// Make sure we only finish once, no matter how often (or in which way) fn signals completion
+		done = function(err, result) {
+			if (settled) {
+				return;
+			}
+			
+			settled = true;
+			stopTimeout();
+			
+			if (me.state === me.statics.state.ACTIVE) {
+				me.finish(owner, next, manualOverride, err, result);
+			} else {
+				next(); // Cancelled while in flight; nothing left to finish, but do let the TaskManager carry on
+			}
+		};
+		
 		this.state = this.statics.state.ACTIVE;
+		this.settle = done;
+		stopTimeout = this.startTimeout(done);
+		
+		if (this.subTasks && this.subTasks.length) {
+			_executeSubTasks(this, owner, done, manualOverride);
+			return;
+		}
+		
 		// Execute
-		this.result = this.fn.apply(this.context || owner.origin, this.arguments);
-		// We expect serial behavior, so at this point the task has completed
+		args = this.arguments;
+		this.cancellable && (args = args.concat([this.signal]));
+		this.async && (args = args.concat([done]));
+		
+		try {
+			returned = this.fn.apply(this.context || owner.origin, args);
+		} catch (err) {
+			done(err);
+			return;
+		}
+		
+		if (this.statics.isThenable(returned)) {
+			returned.then(function(result) {
+				done(null, result);
+			}, function(err) {
+				done(err || new Error('Task rejected without a reason'));
+			});
+		} else if (!this.async) {
+			// We expect serial behavior, so at this point the task has completed
+			done(null, returned);
+		}
+	},
+	
+	/**
+	 * Mark this task as complete (or failed) and pass the word.
+	 * 
+	 * Invoked by execute (or the execute-method of a subclass) once the task has settled. A failing task that may be retried
+	 * returns to its pending state instead, leaving it up to the TaskManager to put it back in line after the retry delay.
+	 * 
+	 * @param {Task.Owner} owner The owner of this task
+	 * @param {Function} next Function that tells the TaskManager to schedule the next task (receives the result and the error, if any)
+	 * @param {Boolean} manualOverride True if called outside of the normal flow of TaskManager, false otherwise
+	 * @param {Error} [err] The error this task settled with, if any
+	 * @param {Mixed} [result] The result of this task
+	 */
+	finish: function(owner, next, manualOverride, err, result) {
+		this.settle = null;
+		
+		if (err) {
+			this.failures++;
+			this.error = err;
+			this.result = result;
+			
+			// Invoke the (optional) error handler
+			_invokeHook(this, 'onError', [err, this]);
+			
+			if (this.retry && this.failures <= this.retry.attempts) {
+				this.state = this.statics.state.PENDING;
+				this.rewind();
+				this.dueAt = Platform.now() + this.getRetryDelay();
+				// Alert this task's owner
+				owner.failed(this, manualOverride);
+			} else if (this.recurs()) {
+				// Skip this run, but not the ones after it
+				_recur(this);
+				owner.failed(this, manualOverride);
+			} else {
+				this.state = this.statics.state.FAILED;
+				// Alert this task's owner
+				owner.failed(this, manualOverride);
+				// Alert anyone waiting on this task
+				_notifySettled(this);
+			}
+			
+			// Continue
+			next(this.result, err);
+			return;
+		}
+		
+		this.error = null;
+		
+		if (this.recurs()) {
+			_recur(this);
+			// Alert this task's owner
+			owner.postpone(this, manualOverride);
+			// Invoke the (optional) callback
+			_invokeHook(this, 'callback', [result]);
+			// Continue
+			next(result);
+			return;
+		}
+		
+		this.result = result;
 		this.state = this.statics.state.COMPLETE;
 		
 		// Alert this task's owner
 		owner.completed(this, manualOverride);
 		// Invoke the (optional) callback
-		this.callback && this.callback(this.result);
+		_invokeHook(this, 'callback', [this.result]);
+		// Alert anyone waiting on this task
+		_notifySettled(this);
 		// Continue
 		next(this.result);
 	},
 	
+	/**
+	 * Start the timeout for the current execution of this task, if it has one.
+	 * 
+	 * Once it expires, the task is marked as timed out, its signal is aborted and the execution is settled with the timeout error
+	 * (which has its timedOut-property set to true). A signal that was aborted by an earlier timeout is replaced first.
+	 * 
+	 * @param {Function} settle Function that settles the current execution, receiving the timeout error
+	 * @return {Function} Function that clears the timeout
+	 */
+	startTimeout: function(settle) {
+		var me = this,
+			timer;
+		
+		this.signal.aborted && (this.signal = new CancelToken());
+		this.timedOut = false;
+		
+		if (!this.timeoutMs) {
+			return function() {};
+		}
+		
+		timer = Platform.delay(function() {
+			var err = new Error('Task "' + me.id + '" timed out after ' + me.timeoutMs + 'ms');
+			
+			err.timedOut = true;
+			me.timedOut = true;
+			me.signal.cancel(err, me.logger);
+			settle(err);
+		}, this.timeoutMs);
+		
+		return function() {
+			Platform.cancel(timer);
+		};
+	},
+	
+	/**
+	 * Trigger the slice event of this task. An error thrown by a listener is logged, so it can't break off the execution.
+	 * 
+	 * Invoked by execute (or the execute-method of a subclass) after each slice it performs.
+	 * 
+	 * @param {Number} start The time the slice started (in ms)
+	 * @param {Number} duration The time the slice took (in ms)
+	 * @param {Number} wait The time the slice waited to be performed (in ms)
+	 */
+	triggerSlice: function(start, duration, wait) {
+		try {
+			this.trigger('slice', this, start, duration, wait);
+		} catch (e) {
+			_log(this, 'Error: Task "' + this.id + '": A listener to "slice" threw: ' + e);
+		}
+	},
+	
+	/**
+	 * Check if this task is to be performed again after the current run (see Task.Task#interval).
+	 * 
+	 * @return {Boolean} True if another run is due, false otherwise
+	 */
+	recurs: function() {
+		return !!this.interval && this.runs + 1 < this.repeat;
+	},
+	
+	/**
+	 * Absorb a task with the same key that was added while this task is pending, according to the duplicate policy of that task.
+	 * 
+	 * @param {Task.Task} task The task that was added
+	 * @return {Boolean} True if the task was absorbed (so it can be dropped), false if it is to replace this task instead
+	 */
+	absorb: function(task) {
+		var args;
+		
+		switch (task.duplicate) {
+			case this.statics.duplicate.REPLACE:
+				return false;
+				
+			case this.statics.duplicate.COALESCE:
+				args = task.coalesce(this.arguments, task.arguments);
+				this.arguments = _.isArray(args) ? args : [args];
+				return true;
+				
+			default:
+				return true;
+		}
+	},
+	
+	/**
+	 * Reset the progress of this task, so that it can be performed anew (when retrying).
+	 */
+	rewind: function() {
+		this.result = null;
+	},
+	
+	/**
+	 * Retrieve the delay before this task is to be retried, based on its retry policy and the number of failures so far.
+	 * 
+	 * @return {Number} The delay in ms
+	 */
+	getRetryDelay: function() {
+		return this.retry ? this.retry.backoffMs * Math.pow(this.retry.factor, Math.max(this.failures - 1, 0)) : 0;
+	},
+	
+	/**
+	 * Register a function to be invoked once this task has settled.
+	 * 
+	 * If the task has already settled (completed, failed or cancelled), the function is invoked right away.
+	 * 
+	 * @param {Function} callback Function that receives the error (or null) and the result of this task
+	 */
+	whenSettled: function(callback) {
+		if (this.isSettled()) {
+			callback(this.error, this.result);
+		} else if (this.settleCallbacks) {
+			this.settleCallbacks.push(callback);
+		}
+	},
+	
 	/**
 	 * Check if this task has been completed
 	 * 
@@ -150,15 +695,94 @@ ClassManager.define('Task.Task', {
 		return this.state === this.statics.state.COMPLETE;
 	},
 	
+	/**
+	 * Check if this task has settled, meaning it won't be performed (any further).
+	 * 
+	 * @return {Boolean} True if complete, failed or cancelled, false otherwise
+	 */
+	isSettled: function() {
+		var state = this.statics.state;
+		
+		return this.state === state.COMPLETE || this.state === state.FAILED || this.state === state.CANCELLED;
+	},
+	
+	/**
+	 * Cancel this task.
+	 * 
+	 * A pending task will never be performed. A running task has its signal aborted and releases the TaskManager right away, 
+	 * an IterationTask stops at its next slice. Anyone waiting for this task to settle receives the cancellation error,
+	 * which has its cancelled-property set to true.
+	 * 
+	 * @param {String|Error} [reason] The reason for cancelling
+	 * @return {Boolean} True if the task was cancelled, false if it had already settled
+	 */
+	cancel: function(reason) {
+		var settle = this.settle,
+			err;
+		
+		if (this.isSettled()) {
+			return false;
+		}
+		
+		err = reason instanceof Error ? reason : new Error(reason || 'Task "' + this.id + '" was cancelled');
+		err.cancelled = true;
+		
+		this.state = this.statics.state.CANCELLED;
+		this.error = err;
+		this.settle = null;
+		
+		// Pass the word
+		this.signal.cancel(err, this.logger);
+		_.invoke(this.subTasks, 'cancel', err);
+		_notifySettled(this);
+		// Release the TaskManager if we're live
+		settle && settle();
+		
+		return true;
+	},
+	
 	/**
 	 * Pause this task if it has not yet been performed.
 	 * 
-	 * Pausing a task will prevent it from executing until reactivated.
+	 * Pausing a task will prevent it from executing until resumed. A suspendable task (like an IterationTask) can be paused
+	 * while running as well, in which case it stops at its next slice and releases the TaskManager. Its owner is responsible
+	 * for putting it back in line.
+	 * 
+	 * @return {Boolean} True if the task was paused, false otherwise
 	 */
 	pause: function() {
-		if (this.state !== this.statics.state.COMPLETE) {
-			this.state = this.statics.state.PAUSE;
+		if (this.state === this.statics.state.PENDING) {
+			this.state = this.statics.state.PAUSED;
+			return true;
+		}
+		
+		return this.suspendable && this.state === this.statics.state.ACTIVE && _interrupt(this, this.statics.state.PAUSED);
+	},
+	
+	/**
+	 * Resume this task if it was paused, so that it can be performed (or continued) again.
+	 * 
+	 * @return {Boolean} True if the task was resumed, false otherwise
+	 */
+	resume: function() {
+		if (this.state !== this.statics.state.PAUSED) {
+			return false;
 		}
+		
+		this.state = this.statics.state.PENDING;
+		return true;
+	},
+	
+	/**
+	 * Interrupt this task while running, so that it can be continued later on (only applies to suspendable tasks).
+	 * 
+	 * The task returns to its pending state and releases the TaskManager at its next slice. Its owner is responsible
+	 * for putting it back in line.
+	 * 
+	 * @return {Boolean} True if the task was suspended, false otherwise
+	 */
+	suspend: function() {
+		return this.suspendable && this.state === this.statics.state.ACTIVE && _interrupt(this, this.statics.state.PENDING);
 	},
 	
 	/**
@@ -166,15 +790,17 @@ ClassManager.define('Task.Task', {
 	 */
 	destroy: function() {
 		// Change state first in case we're live
-		if (this.state !== this.statics.state.COMPLETE) {
-			this.state = this.statics.state.CANCEL;
-		}
+		this.cancel();
+		
+		_.invoke(this.subTasks, 'destroy');
 		
+		this.subTasks = null;
 		this.arguments = null;
 		this.fn = null;
 		this.context = null;
 		this.result = null;
 		this.callback = null;
+		this.settleCallbacks = null;
 	}
 }, module);
  
@@ -182,4 +808,166 @@ ClassManager.define('Task.Task', {
  * @property {Number} _taskIdCounter Counter used to generate unique task id's
  * @private
  */
-var _taskIdCounter = 0;
\ No newline at end of file
+var _taskIdCounter = 0;
+
+/**
+ * Move a running task into the supplied state and release the TaskManager.
+ * @private
+ * 
+ * @param {Task.Task} task The running task
+ * @param {String} state The state to move into
+ * @return {Boolean} Always true
+ */
+function _interrupt(task, state) {
+	var settle = task.settle;
+	
+	task.state = state;
+	task.settle = null;
+	settle && settle();
+	
+	return true;
+}
+
+/**
+ * Finish the current run of a recurring task, making it due again once its interval has passed.
+ * @private
+ * 
+ * @param {Task.Task} task The task
+ */
+function _recur(task) {
+	task.runs++;
+	task.failures = 0;
+	task.state = task.statics.state.PENDING;
+	task.rewind();
+	task.dueAt = Platform.now() + task.interval;
+}
+
+/**
+ * Invoke (and clear) the functions waiting for the supplied task to settle.
+ * @private
+ * 
+ * @param {Task.Task} task The task that has settled
+ */
+function _notifySettled(task) {
+	var callbacks = task.settleCallbacks;
+	
+	task.settleCallbacks = [];
+	_.each(callbacks, function(callback) {
+		try {
+			callback(task.error, task.result);
+		} catch (e) {
+			_log(task, 'Error: Task "' + task.id + '": A function waiting for it to settle threw: ' + e);
+		}
+	});
+}
+
+/**
+ * Log the supplied message through the logger of the supplied task.
+ * @private
+ * 
+ * @param {Task.Task} task The task
+ * @param {String} msg The message
+ */
+function _log(task, msg) {
+	(task.logger || Platform.log)(msg);
+}
+
+/**
+ * Invoke a hook of the supplied task (like its callback). An error thrown by the hook is logged, so it can't keep
+ * the task from settling (or the TaskManager from moving on).
+ * @private
+ * 
+ * @param {Task.Task} task The task
+ * @param {"callback"|"onError"} name The name of the hook
+ * @param {Array} args The arguments to invoke it with
+ */
+function _invokeHook(task, name, args) {
+	if (!task[name]) {
+		return;
+	}
+	
+	try {
+		task[name].apply(task.context, args);
+	} catch (e) {
+		_log(task, 'Error: Task "' + task.id + '": Its ' + name + ' threw: ' + e);
+	}
+}
+
+/**
+ * Execute the subtasks of the supplied task, either one after another or all at once.
+ * @private
+ * 
+ * The result of the task is updated as each subtask completes. The first subtask to settle with an error
+ * settles the task with that error (and in serial mode prevents the remaining subtasks from being performed).
+ * Subtasks that have a retry policy are retried in place.
+ * 
+ * @param {Task.Task} task The task containing the subtasks
+ * @param {Task.Owner} owner The owner of the task
+ * @param {Function} done Function that settles the task, receiving an error (or null) and the result
+ * @param {Boolean} manualOverride True to run the subtasks back-to-back, false to give each a slice of its own
+ */
+function _executeSubTasks(task, owner, done, manualOverride) {
+	var subTasks = task.subTasks,
+		remaining = subTasks.length,
+		performing = false,
+		schedule, slice, forward, perform;
+	
+	task.result = new Array(subTasks.length);
+	
+	schedule = function(idx) {
+		manualOverride ? perform(idx) : Platform.defer(slice, idx, Platform.now());
+	};
+	
+	// Perform a subtask apart from the execution of this task, reporting the time it took as a slice
+	slice = function(idx, scheduledTs) {
+		var sliceStart = Platform.now();
+		
+		performing = true;
+		perform(idx);
+		performing = false;
+		
+		task.triggerSlice(sliceStart, Platform.now() - sliceStart, sliceStart - scheduledTs);
+	};
+	
+	// Report the slices a subtask performs later on by itself as well
+	forward = function(subTask, sliceStart, duration, wait) {
+		performing || task.triggerSlice(sliceStart, duration, wait);
+	};
+	
+	perform = function(idx) {
+		var subTask = subTasks[idx];
+		
+		// The task may have been destroyed (or settled by a failing sibling) in the meantime
+		if (task.state !== task.statics.state.ACTIVE) {
+			done();
+			return;
+		}
+		
+		subTask.logger = task.logger;
+		subTask.off('slice', forward);
+		subTask.on('slice', forward);
+		
+		subTask.execute(owner, function(result, err) {
+			task.result && (task.result[idx] = result);
+			
+			if (err && !subTask.isSettled()) {
+				// The subtask is to be retried
+				Platform.delay(slice, subTask.getRetryDelay(), idx, Platform.now());
+			} else if (subTask.error) {
+				done(subTask.error, task.result);
+			} else if (--remaining === 0) {
+				done(null, task.result);
+			} else if (!task.parallel) {
+				schedule(idx + 1);
+			}
+		}, manualOverride);
+	};
+	
+	if (task.parallel) {
+		_.each(subTasks, function(subTask, idx) {
+			schedule(idx);
+		});
+	} else {
+		schedule(0);
+	}
+}
\ No newline at end of file
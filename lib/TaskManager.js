@@ -1,425 +1,2071 @@
-var _ = require('alloy')._,
-	TaskOwner = require('Task/Owner');
+var Platform = require('Platform'),
+	_ = Platform._,
+	TaskOwner = require('Task/Owner'),
+	Task = require('Task/Task');
 
 /**
- * The TaskManager manages all tasks that are to be performed by the application.
- * 
- * 
+ * Create a new TaskManager, with its own owners, stacks and settings.
+ * @private
  * 
- * @class TaskManager
- * @singleton
+ * @param {Object} [options] The settings, see TaskManager#configure
+ * @return {TaskManager} The TaskManager
  */
-var TaskManager = {
+function _createTaskManager(options) {
+	/**
+	 * The TaskManager manages all tasks that are to be performed by the application.
+	 * 
+	 * This module exports the default TaskManager. Use TaskManager#create for an isolated one (e.g. for a library
+	 * that should not interfere with the app's owners, or for each test).
+	 * 
+	 * @class TaskManager
+	 * @singleton
+	 * @mixins Backbone.Events
+	 */
+	var TaskManager = {
+		/**
+		 * @event task:start
+		 * Fired when a task is started (or continued).
+		 * @param {Task.Task} task The task
+		 * @param {String} ownerId The id of its owner
+		 */
+		
+		/**
+		 * @event task:complete
+		 * Fired when a task has been completed.
+		 * @param {Task.Task} task The task
+		 * @param {Mixed} result The result of the task
+		 * @param {String} ownerId The id of its owner
+		 */
+		
+		/**
+		 * @event task:error
+		 * Fired whenever performing a task fails.
+		 * @param {Task.Task} task The task
+		 * @param {Error} err The error
+		 * @param {String} ownerId The id of its owner
+		 */
+		
+		/**
+		 * @event owner:registered
+		 * Fired when a new owner has been registered.
+		 * @param {String} ownerId The id of the owner
+		 * @param {String} name The name of the owner
+		 */
+		
+		/**
+		 * @event owner:activated
+		 * Fired when an owner is activated.
+		 * @param {String} ownerId The id of the owner
+		 */
+		
+		/**
+		 * @event owner:unregistered
+		 * Fired when an owner has been unregistered.
+		 * @param {String} ownerId The id of the owner
+		 */
+		
+		/**
+		 * @event busy
+		 * Fired when the TaskManager starts performing tasks after having been idle.
+		 */
+		
+		/**
+		 * @event idle
+		 * Fired when the TaskManager has no (performable) tasks left.
+		 */
+		
+		/**
+		 * @property {Function} onError Global handler that is invoked whenever a task fails, in addition to the task's own onError.
+		 * 
+		 * Receives the error, the task and the id of its owner. Failing tasks never stall the TaskManager; it simply moves on to the next task.
+		 * Neither do handlers, callbacks or event listeners that throw: their errors are logged.
+		 */
+		onError: null,
+		
+		/**
+		 * @property {Function} Promise The Promise implementation used by the Promise-based API (e.g. TaskManager#requireTask).
+		 * 
+		 * Defaults to the native implementation. On platforms that lack one, set this to a compatible library (e.g. Q or bluebird),
+		 * or the Promise-based API returns null instead.
+		 */
+		Promise: typeof Promise !== 'undefined' ? Promise : null,
+		
+		/**
+		 * Register a new task owner that will immediately become the active owner.
+		 * 
+		 * Since names need not to be unique, an id is created 
+		 * and returned upon registration.
+		 * 
+		 * A running IterationTask of another owner is interrupted at its next slice, so that the new owner's tasks go first.
+		 * It is continued from where it stopped once its owner gets its turn again.
+		 * 
+		 * An owner can be nested in another (e.g. a view in its screen). Whenever the child is active, its ancestors are raised
+		 * right below it (above unrelated owners) and count as active as well (see Task.Task#activeOnly). Unregistering the
+		 * parent unregisters its children as well.
+		 * 
+		 * @param {String} name Name of the task owner (not unique)
+		 * @param {Object} owner The actual object (instance) responsible for a number of tasks
+		 * @param {Object} [options] Dictionary containing additional settings
+		 * @param {Number} [options.maxConcurrent] The maximum number of tasks of this owner that may be in flight at once (see Task.Owner#maxConcurrent)
+		 * @param {String} [options.parent] The id of the owner to nest this owner in
+		 * @return {String} The identifier for this task owner
+		 * @throws {Error} If the parent is not registered
+		 */
+		register: function(name, owner, options) {
+			var parent = options && options.parent ? _taskOwners[options.parent] : null;
+			
+			if (options && options.parent && !parent) {
+				throw new Error('TaskManager: Parent owner "' + options.parent + '" is not registered');
+			}
+			
+			owner = new TaskOwner(name, owner, _getOwner);  // Wrap the provided owner
+			options && options.maxConcurrent && (owner.maxConcurrent = options.maxConcurrent);
+			owner.logger = _logOwner;
+			owner.taskTypes = _taskTypes;
+			owner.lookupKey = _findByKey;
+			
+			var id = owner.id;
+			
+			_log('New owner added: '+name);
+		
+			// Create a new Task Owner
+			_taskOwners[id] = owner;
+			
+			if (parent) {
+				owner.parentId = parent.id;
+				parent.childIds.push(id);
+			}
+			
+			// Add it (and its ancestors) to the top of the stack
+			_raise(id);
+			// Mark it as active
+			_activeTaskOwner = id;
+			// And make way for it
+			_preempt(id);
+			
+			_trigger(TaskManager, 'owner:registered', id, name);
+			
+			// Pick up where the previous owner by this name left off
+			_restoreTasks(owner) && this.check();
+			
+			return id;
+		},
+		
+		/**
+		 * Unregister the task owner.
+		 * 
+		 * This will remove all pending tasks and remove this owner
+		 * from memory completely. Make sure to call this whenever closing the 
+		 * Owner, since it will linger on the stack indefinitely otherwise! 
+		 * 
+		 * The owners nested in this owner are unregistered first.
+		 * 
+		 * @param {String} ownerId The target owner's id
+		 */
+		unregister: function(ownerId) {
+			var i = _taskOwnerStack.length,
+				found = false,
+				parent;
+			
+			if (!_taskOwners[ownerId]) {
+				return; // It does not exist, so do nothing
+			}
+			
+			_.each(_taskOwners[ownerId].childIds.slice(), this.unregister, this);
+			
+			parent = _taskOwners[_taskOwners[ownerId].parentId];
+			parent && (parent.childIds = _.without(parent.childIds, ownerId));
+			
+			_trigger(_taskOwners[ownerId], 'unregistered', _taskOwners[ownerId]);
+			_dropTimers(_taskOwners[ownerId]);
+			_taskOwners[ownerId].destroy();
+			delete _taskOwners[ownerId];
+			
+			if (_activeTaskOwner === ownerId) {
+				_taskOwnerStack.pop();
+				_activeTaskOwner = _taskOwnerStack[_taskOwnerStack.length - 1];
+			} else {
+				while (i > 0 && !found) {
+					if (_taskOwnerStack[--i] === ownerId) {
+						_taskOwnerStack.splice(i, 1);
+						found = true;
+					}
+				}
+				_activeTaskOwner = _taskOwnerStack[_taskOwnerStack.length - 1];
+			}
+			
+			_trigger(TaskManager, 'owner:unregistered', ownerId);
+			_checkIdleRequests();
+		},
+		
+		/**
+		 * Activate a task owner so that it's tasks go to the top of the priority stack.
+		 * 
+		 * Like TaskManager#register, this interrupts a running IterationTask of another owner. The ancestors of the owner
+		 * are raised right below it (see TaskManager#register), and their tasks are left alone.
+		 * 
+		 * @param {String} ownerId The target owner's id 
+		 */
+		activate: function(ownerId) {
+			_activate(ownerId);
+			
+			this.check();
+		},
+		
+		/**
+		 * Describe the registered owners as a tree (see TaskManager#register), for debugging purposes.
+		 * 
+		 * @return {Array} Dictionaries describing the top-level owners in order of priority, each containing:
+		 * 
+		 * - id - The id of the owner
+		 * - name - The name of the owner
+		 * - active - True if the owner counts as active (it is the active owner, or one of its ancestors)
+		 * - paused - True if the owner is paused
+		 * - pending - The number of tasks that have yet to be performed (including those that wait for a delay or retry)
+		 * - live - The number of tasks in flight
+		 * - children - Dictionaries describing the owners nested in this owner, in order of registration
+		 */
+		getOwnerTree: function() {
+			var rootIds = _.filter(_taskOwnerStack.slice().reverse(), function(ownerId) {
+				return !_taskOwners[ownerId].parentId;
+			});
+			
+			return _.map(rootIds, _describeOwner);
+		},
+		
+		/**
+		 * Add a new task to the supplied owner.
+		 * 
+		 * A task may depend on other tasks (see Task.Task#dependsOn), in which case it won't be performed before those have been completed.
+		 * 
+		 * Tasks that don't define a timeout of their own get the default timeout (see TaskManager#setDefaultTimeout).
+		 * 
+		 * A persistent task is kept in storage (see TaskManager#setStorage) until it has been performed. When the app is
+		 * killed before that, it is restored the next time an owner by the same name is registered. Its definition should
+		 * refer to a task type (see TaskManager#defineTaskType) and contain nothing that can't be serialized (like functions).
+		 * 
+		 * A task can be delayed (see config.delayMs and config.runAt of Task.Task#constructor), in which case it is only put in line
+		 * once it is due. A recurring task (see Task.Task#interval) is put back in line after each run, until it has run as often
+		 * as it should (so its Promise only resolves after the last run). It stops once its owner is unregistered, and is skipped
+		 * while its owner is paused.
+		 * 
+		 * @param {String} ownerId The target owner's id
+		 * @param {Task.Task|Object|Array} task A task instance, description, or an array of thereof. See Task.Task#constructor 
+		 * @param {Boolean} [task.persistent=false] True to keep the task in storage until it has been performed, false otherwise
+		 * @return {Promise} Promise that resolves with the result of the task (or an array containing the results of the tasks) once performed,
+		 *  or rejects as soon as one of them fails or is cancelled. Null if no Promise implementation is available (see TaskManager#Promise).
+		 * @throws {Error} If a task would introduce a dependency cycle, refers to an unknown task type or is persistent but can't be stored
+		 */
+		addTask: function(ownerId, task) {
+			var owner = _taskOwners[ownerId],
+				deferred = _createDeferred(),
+				tasks;
+			
+			tasks = _.map(_.isArray(task) ? task : [task], function(definition) {
+				var task;
+				
+				if (definition.persistent && !(definition instanceof Task)) {
+					if (!definition.type || !_isSerializable(definition)) {
+						throw new Error('TaskManager: Persistent task "' + (definition.id || definition.type) + '" should refer to a task type and only contain serializable values');
+					}
+					
+					task = _addTask(owner, definition);
+					// A Date would be stored as a string, so store the time it refers to instead
+					_.isDate(definition.runAt) && (definition = _.extend({}, definition, {runAt: definition.runAt.getTime()}));
+					// Unless it was absorbed by a task that is stored already (or was dropped right away)
+					_findRecord(task) || task.isSettled() || _storeTask(task, {key: _.uniqueId('p' + Platform.now() + '.'), owner: owner.name, definition: definition});
+				} else {
+					task = _addTask(owner, definition);
+				}
+				
+				return task;
+			});
+			
+			deferred.promise && _whenAllSettled(tasks, function(results, err) {
+				err ? deferred.reject(err) : deferred.resolve(_.isArray(task) ? results : results[0]);
+			});
+			
+			this.check(ownerId);
+			
+			return deferred.promise;
+		},
+		
+		/**
+		 * Change the priority of a pending task within its owner.
+		 * 
+		 * @param {String} ownerId The id of the owner containing the task
+		 * @param {String|Number} taskId The id of the task
+		 * @param {Number} priority The new priority (higher goes first)
+		 * @return {Boolean} True if the priority was changed, false otherwise (e.g. if the task is no longer pending)
+		 */
+		setTaskPriority: function(ownerId, taskId, priority) {
+			var owner = _taskOwners[ownerId];
+			
+			return !!owner && owner.setPriority(taskId, priority);
+		},
+		
+		/**
+		 * Cancel a pending or running task.
+		 * 
+		 * A running task has its signal (see Task.Task#signal) aborted and no longer holds up other tasks. 
+		 * 
+		 * @param {String} ownerId The id of the owner containing the task
+		 * @param {String|Number} taskId The id of the task
+		 * @param {String|Error} [reason] The reason for cancelling
+		 * @return {Boolean} True if the task was cancelled, false otherwise (e.g. if it has already settled)
+		 */
+		cancelTask: function(ownerId, taskId, reason) {
+			var owner = _taskOwners[ownerId],
+				cancelled = !!owner && owner.cancel(taskId, reason);
+			
+			if (cancelled) {
+				_dropDependents();
+				_checkIdleRequests();
+				this.check(); // Finish the requests that were waiting for it
+			}
+			
+			return cancelled;
+		},
+		
+		/**
+		 * Cancel all pending and running tasks of an owner, or those that pass the filter.
+		 * 
+		 * @param {String} ownerId The id of the owner containing the tasks
+		 * @param {Function} [filter] Function that receives each task and returns true if it is to be cancelled
+		 * @param {String|Error} [reason] The reason for cancelling
+		 * @return {Number} The number of tasks that were cancelled
+		 */
+		cancelOwnerTasks: function(ownerId, filter, reason) {
+			var owner = _taskOwners[ownerId],
+				tasks;
+			
+			if (!owner) {
+				return 0;
+			}
+			
+			tasks = _.values(owner.tasks).concat(_.values(owner.liveTasks));
+			filter && (tasks = _.filter(tasks, filter));
+			
+			tasks = _.filter(tasks, function(task) {
+				return owner.cancel(task.id, reason);
+			});
+			
+			if (tasks.length) {
+				_dropDependents();
+				_checkIdleRequests();
+				this.check(); // Finish the requests that were waiting for them
+			}
+			
+			return tasks.length;
+		},
+		
+		/**
+		 * Pause a task, so that it is skipped until resumed (without losing its position).
+		 * 
+		 * A running IterationTask stops at its next slice and continues from where it stopped once resumed.
+		 * 
+		 * @param {String} ownerId The id of the owner containing the task
+		 * @param {String|Number} taskId The id of the task
+		 * @return {Boolean} True if the task was paused, false otherwise (e.g. if it is running and cannot be interrupted)
+		 */
+		pauseTask: function(ownerId, taskId) {
+			var owner = _taskOwners[ownerId];
+			
+			return !!owner && owner.pause(taskId);
+		},
+		
+		/**
+		 * Resume a paused task.
+		 * 
+		 * @param {String} ownerId The id of the owner containing the task
+		 * @param {String|Number} taskId The id of the task
+		 * @return {Boolean} True if the task was resumed, false otherwise
+		 */
+		resumeTask: function(ownerId, taskId) {
+			var owner = _taskOwners[ownerId];
+			
+			if (!owner || !owner.resume(taskId)) {
+				return false;
+			}
+			
+			this.check();
+			return true;
+		},
+		
+		/**
+		 * Pause an owner, so that none of its tasks are performed until resumed.
+		 * 
+		 * A running IterationTask of this owner stops at its next slice and continues from where it stopped once resumed.
+		 * 
+		 * @param {String} ownerId The target owner's id
+		 */
+		pauseOwner: function(ownerId) {
+			_taskOwners[ownerId] && _taskOwners[ownerId].pause();
+		},
+		
+		/**
+		 * Resume a paused owner.
+		 * 
+		 * @param {String} ownerId The target owner's id
+		 */
+		resumeOwner: function(ownerId) {
+			if (_taskOwners[ownerId]) {
+				_taskOwners[ownerId].resume();
+				this.check();
+			}
+		},
+		
+		/**
+		 * Require a task, or several tasks to be completed as soon as possible.
+		 * 
+		 * The tasks are performed in the order they are provided. Multiple calls to this function will append the new tasks to an internal queue.
+		 * 
+		 * If immediate is set to true, the task(s) are run immediately, synchronously and blocking responsiveness. If set to false,
+		 * the task is simply moved to the top of the priority stack and executed when able. Asynchronous tasks are started right
+		 * away as well when immediate is set to true, but the callback (obviously) has to wait for them to settle.
+		 * 
+		 * When all required tasks have been perfomed the callback function (if provided) will be executed.
+		 * 
+		 * If one of the tasks fails, is cancelled (or was not found), the remaining tasks are not performed and the callback receives the error as
+		 * its second argument. A task that is retried upon failure (see Task.Task#retry) is waited for. The same goes for
+		 * unregistering the owner before the required tasks were (all) performed.
+		 * If you need to get stuff done right away, before you can continue, set immediate to true.
+		 * 
+		 * A required task still waits for its prerequisites (see Task.Task#dependsOn) and for itself and its owner to be resumed
+		 * if paused, unless immediate is set to true.
+		 * 
+		 * @param {String} ownerId The id of the owner containing the task(s)
+		 * @param {String|Array} taskId The id of the task that is to be performed, or an array containing several task id's
+		 * @param {Object} [options] Dictionary containing additional instructions
+		 * @param {Boolean} [options.immediate=false] True to execute the task(s) right now (synchronously & blocking), false otherwise
+		 * @param {Function} [options.callback] The function to perform once all required tasks have been executed (or one of them failed or was cancelled)
+		 * @param {Boolean} [options.passResults=false] True to pass the results of all tasks (as an array) to options.callback when it is executed, false otherwise
+		 * @return {Promise} Promise that resolves with the result of the task (or an array containing the results of the tasks) once performed,
+		 *  or rejects with the error that stopped the request. Null if no Promise implementation is available (see TaskManager#Promise).
+		 */
+		requireTask: function(ownerId, taskId, options) {
+			var request;
+			
+			options || (options = {});
+			
+			request = {
+				ownerId: ownerId,
+				taskIds: _.isArray(taskId) ? taskId : [taskId],
+				callback: options.callback || false,
+				passResults: !!options.passResults,
+				// Internal stuff
+				results: [],
+				currentIdx: 0,
+				single: !_.isArray(taskId),
+				deferred: _createDeferred()
+			};
+			
+			if (options.immediate) {
+				// Require the tasks to perform immediately.
+				_performImmediateTasks(ownerId, request.taskIds, function(results, err) {
+					request.results = results;
+					_finishRequest(request, err);
+				});
+			} else {
+				// Create a priority object that will be handled first
+				_priorityStack.push(request);
+				_yieldIdleTasks();
+				// In case we dozed of, get this done!
+				this.check();
+			}
+			
+			return request.deferred.promise;
+		},
+		
+		/**
+		 * Wait for an owner (or all owners) to run out of tasks.
+		 * 
+		 * Note that tasks that are paused, or never get to be performed (e.g. because they are activeOnly and the owner is never activated),
+		 * prevent an owner from running out of tasks.
+		 * 
+		 * @param {String} [ownerId] The target owner's id (omit to wait for all owners)
+		 * @return {Promise} Promise that resolves once the owner has no pending or running tasks left (or was unregistered).
+		 *  Null if no Promise implementation is available (see TaskManager#Promise).
+		 */
+		whenIdle: function(ownerId) {
+			var deferred = _createDeferred();
+			
+			if (deferred.promise) {
+				_idleRequests.push({ownerId: ownerId || null, deferred: deferred});
+				_checkIdleRequests();
+			}
+			
+			return deferred.promise;
+		},
+		
+		/**
+		 * Set the time budget for performing tasks back-to-back.
+		 * 
+		 * By default the selection and execution of each task is deferred, so the app gets a chance to respond in between any two tasks.
+		 * With a budget, tasks that complete synchronously are performed back-to-back until the budget has been spent, and only then
+		 * is the next one deferred. This pays off when performing many short tasks.
+		 * 
+		 * @param {Number} budgetMs The budget in ms, or 0 to defer after every task
+		 */
+		setBudget: function(budgetMs) {
+			_budgetMs = budgetMs || 0;
+		},
+		
+		/**
+		 * Set the number of tasks that may be in flight at once.
+		 * 
+		 * By default a task is only started once the previous one has settled. Since synchronous tasks block the thread anyway,
+		 * more slots mostly pay off for asynchronous (e.g. network-bound) tasks. The tasks with the highest priority fill the
+		 * free slots, within the limit of their owner (see Task.Owner#maxConcurrent). An exclusive task (see Task.Task#exclusive)
+		 * never overlaps any other task.
+		 * 
+		 * @param {Number} maxConcurrent The number of slots (1 or more)
+		 */
+		setMaxConcurrent: function(maxConcurrent) {
+			_maxConcurrent = Math.max(maxConcurrent || 1, 1);
+			this.check();
+		},
+		
+		/**
+		 * Set the default timeout for tasks that don't define one of their own (see Task.Task#timeoutMs).
+		 * 
+		 * Only applies to tasks added afterwards.
+		 * 
+		 * @param {Number} timeoutMs The timeout in ms, or 0 for no timeout
+		 */
+		setDefaultTimeout: function(timeoutMs) {
+			_defaultTimeoutMs = timeoutMs || 0;
+		},
+		
+		/**
+		 * Set the threshold of the watchdog that reports tasks blocking the thread.
+		 * 
+		 * Whenever the synchronous part of performing a task, or a slice it performs later on (like a batch of iterations of an
+		 * IterationTask or a subtask), takes longer than the threshold, a warning is logged.
+		 * 
+		 * @param {Number} thresholdMs The threshold in ms, or 0 to disable the watchdog
+		 */
+		setWatchdog: function(thresholdMs) {
+			_watchdogMs = thresholdMs || 0;
+		},
+		
+		/**
+		 * Attach a profiler that records every task run and slice (see Task.Task#slice) from now on.
+		 * 
+		 * @param {Profiler} profiler The profiler, or null to detach the current one
+		 */
+		setProfiler: function(profiler) {
+			_profiler = profiler || null;
+		},
+		
+		/**
+		 * Define a task type, which task definitions can refer to by name, e.g:
+		 * 
+		 *     TaskManager.defineTaskType('resizeThumbnails', {fn: resize, iterate: {step: 5}, activeOnly: true});
+		 *     TaskManager.addTask(ownerId, {type: 'resizeThumbnails', iterate: {list: images}});
+		 * 
+		 * Task definitions that refer to a type are merged onto it (see Task.Owner#add). Since functions can't be stored,
+		 * task types are required for persistent tasks as well. Defining a type by a name that is in use replaces that type.
+		 * 
+		 * @param {String} name The name of the task type
+		 * @param {Object} definition The task definition that serves as template, see Task.Owner#add
+		 * @throws {Error} If the definition performs nothing, or contains an id (which would be shared by all its tasks)
+		 */
+		defineTaskType: function(name, definition) {
+			if (!definition || !(definition.fn || definition.subTasks)) {
+				throw new Error('TaskManager: Task type "' + name + '" should define fn or subTasks');
+			} else if (definition.id || definition.type) {
+				throw new Error('TaskManager: Task type "' + name + '" can\'t define ' + (definition.id ? 'an id' : 'a type'));
+			}
+			
+			_taskTypes[name] = definition;
+		},
+		
+		/**
+		 * Define a rate limit, which tasks are subject to by referring to it as their category (see Task.Task#category), e.g:
+		 * 
+		 *     TaskManager.defineRateLimit('api', {perSecond: 2, burst: 4});
+		 *     TaskManager.addTask(ownerId, {fn: sync, async: true, category: 'api'});
+		 * 
+		 * The limit applies to the tasks of all owners together. Every time such a task is started (or continued) it takes a
+		 * token, and tokens are added at the rate of perSecond, up to burst. A task that finds no token is skipped in favor of
+		 * other tasks, until a token is available again.
+		 * 
+		 * @param {String} name The name of the rate limit
+		 * @param {Object} limit The rate limit (or null to remove it)
+		 * @param {Number} limit.perSecond The number of tasks that may be started per second
+		 * @param {Number} [limit.burst] The number of tasks that may be started at once after a quiet period (defaults to perSecond, rounded up)
+		 * @throws {Error} If perSecond is not a positive number
+		 */
+		defineRateLimit: function(name, limit) {
+			var burst;
+			
+			if (!limit) {
+				delete _rateLimits[name];
+				this.check();
+				return;
+			} else if (!(limit.perSecond > 0)) {
+				throw new Error('TaskManager: Rate limit "' + name + '" should define a positive perSecond');
+			}
+			
+			burst = Math.max(limit.burst || Math.ceil(limit.perSecond), 1);
+			_rateLimits[name] = {perSecond: limit.perSecond, burst: burst, tokens: burst, countedAt: Platform.now()};
+			
+			this.check();
+		},
+		
+		/**
+		 * Set the storage backend for persistent tasks (see TaskManager#addTask), e.g. a Storage.Properties or Storage.Memory.
+		 * 
+		 * The tasks stored earlier are read from it right away, and restored into any registered owners they belong to.
+		 * Make sure the task types they refer to have been defined by then.
+		 * 
+		 * @param {Object} storage The storage backend, exposing a read and write method (or null for no storage)
+		 */
+		setStorage: function(storage) {
+			var data = storage && storage.read();
+			
+			_storage = storage || null;
+			_storedTasks = (data && data.tasks) || [];
+			_restoredTasks = {};
+			
+			_.filter(_taskOwners, _restoreTasks).length && this.check();
+		},
+		
+		/**
+		 * Check if there are tasks that can be performed.
+		 * 
+		 * When no task is being executed currently, it will trigger the core mechanism to look for a valid task to perform.
+		 * If found, this task will then be perfomed (deferred).
+		 * 
+		 * This method can be executed arbitrarily, but should at least be invoked when the active owner could change. 
+		 * 
+		 * @param {String} [activeOwnerId] If passed, then this owner will be activated first (see TaskManager#activate)
+		 */
+		check: function(activeOwnerId) {
+			if (activeOwnerId && _activeTaskOwner !== activeOwnerId) {
+				_activate(activeOwnerId);
+			}
+			
+			_hasFreeSlot() && _performTask();
+		},
+		
+		/**
+		 * Change the settings of this TaskManager.
+		 * 
+		 * Settings that are not passed are left as-is.
+		 * 
+		 * @param {Object} options The settings
+		 * @param {Boolean} [options.debug=true] True to log details about every task performed, false otherwise
+		 * @param {Function} [options.logger] Function that logs the supplied message (defaults to Platform#log)
+		 * @param {Number} [options.budgetMs] See TaskManager#setBudget
+		 * @param {Number} [options.maxConcurrent] See TaskManager#setMaxConcurrent
+		 * @param {Number} [options.defaultTimeoutMs] See TaskManager#setDefaultTimeout
+		 * @param {Number} [options.watchdogMs] See TaskManager#setWatchdog
+		 * @param {Profiler} [options.profiler] See TaskManager#setProfiler
+		 * @param {Function} [options.onError] See TaskManager#onError
+		 * @param {Object} [options.storage] See TaskManager#setStorage
+		 */
+		configure: function(options) {
+			options || (options = {});
+			
+			_.has(options, 'debug') && (_debug = !!options.debug);
+			_.has(options, 'logger') && (_logger = options.logger || null);
+			_.has(options, 'budgetMs') && this.setBudget(options.budgetMs);
+			_.has(options, 'maxConcurrent') && this.setMaxConcurrent(options.maxConcurrent);
+			_.has(options, 'defaultTimeoutMs') && this.setDefaultTimeout(options.defaultTimeoutMs);
+			_.has(options, 'watchdogMs') && this.setWatchdog(options.watchdogMs);
+			_.has(options, 'profiler') && this.setProfiler(options.profiler);
+			_.has(options, 'onError') && (this.onError = options.onError);
+			_.has(options, 'storage') && this.setStorage(options.storage);
+		},
+		
+		/**
+		 * Create a new TaskManager, with its own owners, stacks and settings.
+		 * 
+		 * Owners registered with one TaskManager are unknown to any other (including the tasks they contain, so
+		 * tasks can't depend on those of another TaskManager).
+		 * 
+		 * @param {Object} [options] The settings, see TaskManager#configure
+		 * @return {TaskManager} The new TaskManager
+		 */
+		create: function(options) {
+			return _createTaskManager(options);
+		}
+	};
+	
+	/**
+	 * @property {String} _activeTaskOwner The ID of the last registered or activated task owner
+	 * @private
+	 */
+	var _activeTaskOwner = null,
+	
+	/**
+	 * @property {Object} _taskOwners All registered task owners
+	 * @private
+	 */
+		_taskOwners = {},
+		
+	/**
+	 * @property {Array} _taskOwnerStack The internal stack that directs the order in which task owner instances should have their tasks executed
+	 * @private
+	 */
+		_taskOwnerStack = [],
+		
+	/**
+	 * @property {Array} _priorityStack Stack of dictionaries that define request that are to be handled first.
+	 * 
+	 * A dictionary element consists of the following attributes:
+	 * - ownerId - The id of the owner of the tasks
+	 * - taskIds - Array containing task id's
+	 * - callback - Function (or null) that is to be performed when all tasks have been performed
+	 * - passResults - Boolean value; True to pass an array containing all results to the callback function
+	 * - results - Array containing the current returned results
+	 * - currentIdx - The index of the task that is currently required
+	 * - single - True if a single task id (rather than an array) was required
+	 * - deferred - The deferred whose promise was returned to the requester
+	 * 
+	 * @private
+	 */
+		_priorityStack = [],
+		
+	/**
+	 * @property {Array} _idleRequests Dictionaries containing an ownerId (or null for all owners) and the deferred to resolve once it runs out of tasks
+	 * @private
+	 */
+		_idleRequests = [],
+		
+	/**
+	 * @property {Boolean} _running True if the TaskManager is actively executing tasks at this moment, false otherwise
+	 * @private
+	 */
+		_running = false,
+		
+	/**
+	 * @property {Array} _live The tasks in flight (executing, or scheduled for execution), each taking up a slot
+	 * @private
+	 */
+		_live = [],
+		
+	/**
+	 * @property {Number} _maxConcurrent The number of slots, see TaskManager#setMaxConcurrent
+	 * @private
+	 */
+		_maxConcurrent = 1,
+		
+	/**
+	 * @property {Number} _budgetMs The time budget (in ms) for performing tasks back-to-back, see TaskManager#setBudget
+	 * @private
+	 */
+		_budgetMs = 0,
+		
+	/**
+	 * @property {Object} _slice The slice currently being performed (with a budget), containing its start timestamp and the queue of functions left to invoke
+	 * @private
+	 */
+		_slice = null,
+		
+	/**
+	 * @property {Number} _defaultTimeoutMs The timeout (in ms) for tasks that don't define one of their own, see TaskManager#setDefaultTimeout
+	 * @private
+	 */
+		_defaultTimeoutMs = 0,
+		
+	/**
+	 * @property {Number} _watchdogMs The time (in ms) a task may block the thread before a warning is logged, see TaskManager#setWatchdog
+	 * @private
+	 */
+		_watchdogMs = 0,
+		
+	/**
+	 * @property {Profiler} _profiler The profiler recording task runs (null if none), see TaskManager#setProfiler
+	 * @private
+	 */
+		_profiler = null,
+		
+	/**
+	 * @property {Boolean} _debug True to run in debugging mode, false otherwise
+	 * @private
+	 */
+		_debug = true,
+		
+	/**
+	 * @property {Function} _logger Function that logs the supplied message (null to use Platform#log), see TaskManager#configure
+	 * @private
+	 */
+		_logger = null,
+		
+	/**
+	 * @property {Object} _taskTypes Dictionary containing the definitions of the task types, see TaskManager#defineTaskType
+	 * @private
+	 */
+		_taskTypes = {},
+		
+	/**
+	 * @property {Object} _rateLimits Dictionary containing the token bucket of each rate limit (see TaskManager#defineRateLimit) by name,
+	 *  i.e. a dictionary containing perSecond, burst, the number of tokens and the time they were last counted
+	 * @private
+	 */
+		_rateLimits = {},
+		
+	/**
+	 * @property {Object} _rateTimer Dictionary containing the handle of the timer that is set for the first token that a skipped task
+	 *  waits for, and the time it is due (null if not set)
+	 * @private
+	 */
+		_rateTimer = null,
+		
+	/**
+	 * @property {Object} _storage The storage backend for persistent tasks (null if none), see TaskManager#setStorage
+	 * @private
+	 */
+		_storage = null,
+		
+	/**
+	 * @property {Array} _storedTasks The records of all persistent tasks that have yet to be performed, each a dictionary containing:
+	 * 
+	 * - key - Unique key of the record
+	 * - owner - The name of the owner of the task
+	 * - definition - The definition of the task
+	 * - progress - The index of the first iteration that has not been performed (IterationTasks only)
+	 * - result - The result of the iterations that have been performed (IterationTasks only)
+	 * @private
+	 */
+		_storedTasks = [],
+		
+	/**
+	 * @property {Object} _restoredTasks Dictionary containing the tasks that have been added to (or restored into) an owner, by the key of their record
+	 * @private
+	 */
+		_restoredTasks = {},
+		
+	/**
+	 * @property {Array} _timers Dictionaries containing a waiting task, its owner and the time it is due (see Task.Task#dueAt), ordered by the latter
+	 * @private
+	 */
+		_timers = [],
+		
+	/**
+	 * @property {Object} _timer Dictionary containing the handle of the timer that is set for the first waiting task, and the time it is due (null if not set)
+	 * @private
+	 */
+		_timer = null,
+		
+	/**
+	 * @property {Number} _lastWorkTs The time the last normal (not idle) task started or ended running. Starts out as the time
+	 *  this TaskManager was created, since the app is busy launching at that point.
+	 * @private
+	 */
+		_lastWorkTs = Platform.now(),
+		
+	/**
+	 * @property {Mixed} _idleTimer The handle of the timer that is set for the first idle task that is waiting for more quiet time (null if not set)
+	 * @private
+	 */
+		_idleTimer = null;
+	
+	/**
+	 * Reactivate a task owner so that it will have its tasks completed first.
+	 * @private
+	 * 
+	 * @param {String} ownerId The task owner identifier 
+	 */
+	function _activate(ownerId) {
+		if (!_taskOwners[ownerId]) {
+			return; // It does not exist, so do nothing
+		}
+			
+		if (_activeTaskOwner === ownerId) {
+			return; // This owner is already the active owner
+		}
+		
+		_raise(ownerId);
+		_activeTaskOwner = ownerId;
+		
+		_preempt(ownerId);
+		_trigger(_taskOwners[ownerId], 'activated', _taskOwners[ownerId]);
+		_trigger(TaskManager, 'owner:activated', ownerId);
+	}
+	
+	/**
+	 * Move a task owner to the top of the stack, with its ancestors right below it (the parent first).
+	 * @private
+	 * 
+	 * @param {String} ownerId The task owner identifier
+	 */
+	function _raise(ownerId) {
+		var chain = [ownerId],
+			owner = _taskOwners[ownerId];
+		
+		while (owner.parentId) {
+			chain.unshift(owner.parentId);
+			owner = _taskOwners[owner.parentId];
+		}
+		
+		_taskOwnerStack = _.difference(_taskOwnerStack, chain).concat(chain);
+	}
+	
+	/**
+	 * Check if the supplied owner counts as active, i.e. it is the active owner or one of its ancestors.
+	 * @private
+	 * 
+	 * @param {String} ownerId The task owner identifier
+	 * @return {Boolean} True if the owner counts as active, false otherwise
+	 */
+	function _isActive(ownerId) {
+		var owner = _taskOwners[_activeTaskOwner];
+		
+		while (owner && owner.id !== ownerId) {
+			owner = _taskOwners[owner.parentId];
+		}
+		
+		return !!owner;
+	}
+	
+	/**
+	 * Interrupt the live tasks of all owners other than the supplied one (and its ancestors, see _isActive).
+	 * @private
+	 * 
+	 * Running IterationTasks are stopped at their next slice and put back in line (keeping their progress), tasks that
+	 * were scheduled but have yet to start are put back as well. Required tasks (see TaskManager#requireTask) are left alone.
+	 * 
+	 * @param {String} ownerId The id of the owner that is to go first
+	 */
+	function _preempt(ownerId) {
+		_.each(_taskOwners, function(owner) {
+			// Each task is put back in front of the others, so start with the one that went live last (see Task.Owner#interrupt)
+			_isActive(owner.id) || _.each(owner.getLiveTasks().reverse(), function(task) {
+				if (!_isRequired(owner, task) && owner.interrupt(task.id)) {
+					_debug && _log('['+owner.name+ ']: Interrupted task '+(task.name || '<no name>')+' in favor of ['+_taskOwners[ownerId].name+']');
+				}
+			});
+		});
+	}
+	
+	/**
+	 * Check if the supplied task is part of a pending requireTask-request.
+	 * @private
+	 * 
+	 * @param {Task.Owner} owner The owner of the task
+	 * @param {Task.Task} task The task
+	 * @return {Boolean} True if the task is required, false otherwise
+	 */
+	function _isRequired(owner, task) {
+		return _.some(_priorityStack, function(request) {
+			return request.ownerId === owner.id && _.contains(request.taskIds, task.id);
+		});
+	}
+	
+	/**
+	 * Perform the next task(s).
+	 * @private
+	 * 
+	 * The engine of TaskManager. This function checks owners (in order of priority)
+	 * for pending tasks and executes the first returned. Before it checks the owners however,
+	 * it first checks the priority stack. When a task is required (asynchronously) it ends up on this stack.
+	 * 
+	 * Idle tasks (see Task.Task#idle) are only considered once no owner has any normal task left (see _nextIdleTask).
+	 * 
+	 * This is repeated until all slots are taken (see TaskManager#setMaxConcurrent), so the tasks that are picked are
+	 * always the ones with the highest priority. A task that finishes frees its slot by passing itself to this function.
+	 * 
+	 * @param {Task.Task} [finishedTask] The task that just finished (or was dropped before it got to start)
+	 */
+	function _performTask(finishedTask) {
+		var next;
+		
+		finishedTask && (_live = _.without(_live, finishedTask));
+		
+		_idleTimer && Platform.cancel(_idleTimer);
+		_idleTimer = null;
+		_rateTimer && Platform.cancel(_rateTimer.handle);
+		_rateTimer = null;
+		
+		while (_hasFreeSlot()) {
+			// If a priority task can be performed, make sure to get that done first
+			next = _nextPriorityTask() || _nextTask() || _nextIdleTask();
+			
+			// Stop if no task is left, or the slot is held for an exclusive task
+			if (!next || !next.task) {
+				break;
+			}
+			
+			_live.push(next.task);
+			_takeToken(next.task);
+			_schedule(_executeTask, [next.task, next.owner]); // Internal use of defer, not part of the actual mechanism deployed by TaskManager
+		}
+		
+		// If no owner has any (relevant) tasks left, then shut down (for now)
+		_setRunning(!!_live.length);
+	}
+	
+	/**
+	 * Check if another task may be started.
+	 * @private
+	 * 
+	 * @return {Boolean} True if fewer tasks than allowed are in flight, none of which is exclusive (see Task.Task#exclusive)
+	 */
+	function _hasFreeSlot() {
+		return _live.length < _maxConcurrent && !_.findWhere(_live, {exclusive: true});
+	}
+	
+	/**
+	 * Create a function that tells which tasks may be started now (see Task.Owner#getNext).
+	 * @private
+	 * 
+	 * An exclusive task has to wait until no other task is in flight. Since the tasks are offered in order of priority, all
+	 * tasks after it are refused as well, so that the free slot is held for it instead of being taken by a lesser task.
+	 * 
+	 * A task that is out of tokens (see TaskManager#defineRateLimit) is skipped in favor of the tasks after it.
+	 * 
+	 * @return {Function} The function, which also has a held property that is set to true once it held a slot
+	 */
+	function _createTaskFilter() {
+		var accept = function(task) {
+			if (!accept.held && !_hasToken(task)) {
+				return false;
+			}
+			
+			accept.held = accept.held || (task.exclusive && _live.length > 0);
+			return !accept.held;
+		};
+		
+		accept.held = false;
+		
+		return accept;
+	}
+	
+	/**
+	 * Check if the rate limit of the supplied task (if any) allows it to be started now.
+	 * @private
+	 * 
+	 * If not, a timer is set to check again once a token is available.
+	 * 
+	 * @param {Task.Task} task The task
+	 * @return {Boolean} True if the task has no rate limit or a token is available, false otherwise
+	 */
+	function _hasToken(task) {
+		var limit = task.category && _rateLimits[task.category],
+			now = Platform.now(),
+			dueAt;
+		
+		if (!limit) {
+			return true;
+		}
+		
+		// Add the tokens that have become available since they were last counted
+		limit.tokens = Math.min(limit.tokens + Math.max(now - limit.countedAt, 0) * limit.perSecond / 1000, limit.burst);
+		limit.countedAt = now;
+		
+		if (limit.tokens >= 1) {
+			return true;
+		}
+		
+		dueAt = now + Math.ceil((1 - limit.tokens) * 1000 / limit.perSecond);
+		
+		if (!_rateTimer || dueAt < _rateTimer.dueAt) {
+			_rateTimer && Platform.cancel(_rateTimer.handle);
+			_rateTimer = {dueAt: dueAt, handle: Platform.delay(function() {
+				_rateTimer = null;
+				TaskManager.check();
+			}, dueAt - now)};
+		}
+		
+		return false;
+	}
+	
+	/**
+	 * Take a token for the supplied task, if it is subject to a rate limit.
+	 * @private
+	 * 
+	 * @param {Task.Task} task The task that is started
+	 */
+	function _takeToken(task) {
+		var limit = task.category && _rateLimits[task.category];
+		
+		limit && limit.tokens--;
+	}
+	
+	/**
+	 * Pick the next (normal) task.
+	 * @private
+	 * 
+	 * Owners are checked in order of priority. An owner without tasks to perform and none in flight makes way for the owners
+	 * below it, once one of those turns out to have a task. Owners that do have tasks in flight keep their place.
+	 * 
+	 * @return {Object} Dictionary containing the task and its owner, an empty dictionary if the free slot is held for an
+	 *  exclusive task, or null if no task is left
+	 */
+	function _nextTask() {
+		var ownerIds = _taskOwnerStack.slice().reverse(),
+			accept = _createTaskFilter(),
+			demoted = [],
+			owner, task, i;
+		
+		for (i = 0; i < ownerIds.length && !task; i++) {
+			owner = _taskOwners[ownerIds[i]];
+			task = owner.getNext(_isActive(owner.id), undefined, accept); // Pick the next task
+			
+			task || owner.isBusy() || demoted.push(ownerIds[i]);
+		}
+		
+		if (!task) {
+			// Owners with only idle work left don't get to take the place of the active owner
+			return accept.held ? {} : null;
+		}
+		
+		// Move the owners that had no tasks to the bottom of the stack, and activate the one on top
+		if (demoted.length) {
+			_taskOwnerStack = demoted.reverse().concat(_.difference(_taskOwnerStack, demoted));
+			_activeTaskOwner = _taskOwnerStack[_taskOwnerStack.length - 1];
+		}
+		
+		return {task: task, owner: owner};
+	}
+	
+	/**
+	 * Pick the next idle task, if the app has been quiet for long enough.
+	 * @private
+	 * 
+	 * Owners are checked in order of priority, but are left in place (so the active owner stays active).
+	 * If idle tasks are waiting for more quiet time, a timer is set to check again once the first of them may be performed.
+	 * 
+	 * @return {Object} Dictionary containing the task and its owner, an empty dictionary if the free slot is held for an
+	 *  exclusive task, or null if no task may be performed
+	 */
+	function _nextIdleTask() {
+		var quietMs = Platform.now() - _lastWorkTs,
+			accept = _createTaskFilter(),
+			delay = -1,
+			owner, task, ownerDelay, i;
+		
+		for (i = _taskOwnerStack.length - 1; i >= 0 && !task; i--) {
+			owner = _taskOwners[_taskOwnerStack[i]];
+			task = owner.getNext(_isActive(owner.id), quietMs, accept);
+		}
+		
+		if (task) {
+			return {task: task, owner: owner};
+		}
+		
+		_.each(_taskOwnerStack, function(ownerId) {
+			ownerDelay = _taskOwners[ownerId].getIdleDelay(_isActive(ownerId), quietMs, accept);
+			ownerDelay !== -1 && (delay === -1 || ownerDelay < delay) && (delay = ownerDelay);
+		});
+		
+		if (delay !== -1) {
+			_idleTimer && Platform.cancel(_idleTimer);
+			_idleTimer = Platform.delay(function() {
+				_idleTimer = null;
+				TaskManager.check();
+			}, delay);
+		}
+		
+		return accept.held ? {} : null;
+	}
+	
+	/**
+	 * Interrupt the idle tasks that are running, in favor of normal work that has arrived.
+	 * @private
+	 * 
+	 * Running IterationTasks are stopped at their next slice and put back in line (keeping their progress), idle tasks that
+	 * were scheduled but have yet to start are put back as well. Required tasks (see TaskManager#requireTask) are left alone.
+	 */
+	function _yieldIdleTasks() {
+		_.each(_taskOwners, function(owner) {
+			_.each(owner.getLiveTasks().reverse(), function(task) {
+				if (task.idle && !_isRequired(owner, task) && owner.interrupt(task.id)) {
+					_debug && _log('['+owner.name+ ']: Interrupted idle task '+(task.name || '<no name>')+' in favor of normal work');
+				}
+			});
+		});
+	}
+	
+	/**
+	 * Pick a priority task if possible.
+	 * @private
+	 * 
+	 * @return {Object} Dictionary containing the task and its owner, an empty dictionary if the free slot is held for the
+	 *  task (because it is exclusive, see Task.Task#exclusive), or null if no priority task can be performed
+	 */
+	function _nextPriorityTask() {
+		if (!_priorityStack.length) {
+			return null;
+		}
+			
+		var request = _priorityStack[0],
+			owner = _taskOwners[request.ownerId],
+			taskNum = request.taskIds.length,
+			task = null,
+			err = null;
+		
+		// Skip the tasks that have been completed already
+		while (!err && request.currentIdx < taskNum) {
+			task = owner ? owner.get(request.taskIds[request.currentIdx]) : null;
+			
+			if (!owner) {
+				err = new Error('Owner "' + request.ownerId + '" was unregistered');
+				err.cancelled = true;
+			} else if (!task) {
+				err = new Error('Task "' + request.taskIds[request.currentIdx] + '" not found');
+			} else if (task.isSettled() && task.error) {
+				err = task.error; // Failed or cancelled
+			} else if (task.isComplete()) {
+				request.results.push(task.result);
+				request.currentIdx++;
+			} else {
+				break;
+			}
+		}
+		
+		if (err || request.currentIdx === taskNum) {
+			// Remove this priority item/list
+			_priorityStack.shift();
+			
+			// Invoke callback if assigned
+			_finishRequest(request, err);
+			
+			// Move on to the next request (if any)
+			return _nextPriorityTask();
+		}
+		
+		// Its prerequisites come first; they are performed through the normal flow
+		if (!owner.isReady(task)) {
+			return null;
+		}
+		
+		// Wait for it (or its owner) to be resumed
+		if (owner.paused || task.state === task.statics.state.PAUSED) {
+			return null;
+		}
+		
+		// The task is already in flight, so revisit this request once it has settled (which frees its slot if it holds one)
+		if (task.state === task.statics.state.ACTIVE || owner.liveTasks[task.id] === task) {
+			_.contains(_live, task) || task.whenSettled(function() {
+				TaskManager.check();
+			});
+			return null;
+		}
+		
+		// Leave the slot to other work until a token is available
+		if (!_hasToken(task)) {
+			return null;
+		}
+		
+		// Hold the slot until the tasks in flight have finished
+		if (task.exclusive && _live.length) {
+			return {};
+		}
+		
+		// Execute
+		if (owner.setNext(task.id)) {
+			return {task: task, owner: owner};
+		} else {
+			return null; // TODO: Throw error and remove the priorityTask
+		}
+	}
+	
+	/**
+	 * Perform the tasks passed immediately and in order, blocking the thread. The tasks are performed outside
+	 * of the normal operation of this TaskManager.
+	 * @private
+	 * 
+	 * An asynchronous task is waited upon before the next task is started.
+	 * 
+	 * @param {String} ownerId The id of the owner that owns the tasks
+	 * @param {Array} taskIds The ids of the tasks that are to be performed
+	 * @param {Function} callback Function that receives an array containing the results of all tasks, and the error if one failed or was cancelled
+	 */
+	function _performImmediateTasks(ownerId, taskIds, callback) {
+		var results = [],
+			idx = 0,
+			performNext;
+		
+		performNext = function() {
+			if (idx === taskIds.length) {
+				callback(results);
+				return;
+			}
+			
+			_performImmediateTask(ownerId, taskIds[idx++], function(result, err) {
+				if (err) {
+					callback(results, err);
+					return;
+				}
+				
+				results.push(result);
+				performNext();
+			});
+		};
+		
+		performNext();
+	}
+	
+	/**
+	 * Perform the task passed immediately, blocking the thread. The task is performed outside
+	 * of the normal operation of this TaskManager.
+	 * @private
+	 * 
+	 * @param {String} ownerId The id of the owner that owns the task
+	 * @param {String} taskId The id of the task that is to be performed
+	 * @param {Function} callback Function that receives the result of the task once it has settled (and the error if it failed or was cancelled)
+	 */
+	function _performImmediateTask(ownerId, taskId, callback) {
+		var owner = _taskOwners[ownerId],
+			task;
+			
+		if (!owner) {
+			callback();
+			return;
+		}
+			
+		task = owner.get(taskId);
+		
+		if (!task) {
+			callback();
+		} else if (task.isSettled() && task.error) {
+			callback(undefined, task.error); // Failed or cancelled
+		} else if (task.isComplete()) {
+			callback(task.result);
+		} else if (task.state === task.statics.state.ACTIVE) {
+			// Already in flight, so wait for it
+			task.whenSettled(function(err, result) {
+				err ? callback(undefined, err) : callback(result);
+			});
+		} else {
+			_executeTask(task, owner, true, callback);
+		}
+	}
+	
+	/**
+	 * Execute the supplied task.
+	 * @private
+	 * 
+	 * This is a special function that is (normally) not called directly, but through Platform.defer. 
+	 * It executes the task assigned, and afterwards signals this TaskManager to move on to the next task.
+	 * 
+	 * The returnControl-parameter should only be set to true if execution of tasks is (temporarily) managed by another process.
+	 * For instance, when invoking TaskManager.requireTask with immediate set to true.
+	 * 
+	 * The callback argument is in addition to the (optional) callback defined in each task. It is only set in special circumstances
+	 * outside of normal operation.
+	 * 
+	 * Asynchronous tasks keep this TaskManager occupied until they settle; only then is the next task selected.
+	 * 
+	 * The time it takes to execute the synchronous part of the task is monitored by the watchdog (see TaskManager#setWatchdog),
+	 * and so is every slice the task performs later on (see Task.IterationTask#slice and Task.Task#slice).
+	 * 
+	 * @param {Task.Task} task The task that is to be executed
+	 * @param {Task.Owner} owner The owner that owns this task
+	 * @param {Boolean} [returnControl=false] True to step out of the normal operation and return control after execution, false otherwise
+	 * @param {Function} [callback] Additional callback that will be invoked when the task settles (receives the result, and the error if it failed or was cancelled)
+	 */
+	function _executeTask(task, owner, returnControl, callback) {
+		var startTs, blockedMs, run,
+			executing = false;
+			
+		var next = function(result, err) {
+			var endTs,
+				dropped = 0;
+			
+			try {
+				run && run.profiler.end(run.record, task);
+				task.idle || (_lastWorkTs = Platform.now());
+				
+				if (_debug) {
+					endTs = Platform.now();
+					_log('['+owner.name+ ']: '+(task.isSettled() ? 'Finished' : (task.dueAt ? 'Postponed' : 'Interrupted'))+' task '+(task.name || '<no name>')+' in '+(endTs - startTs)+'ms'); // Add log data
+					err && _log('['+owner.name+ ']: Task '+(task.name || '<no name>')+' failed: '+err);
+				}
+				
+				if (err) {
+					_triggerTaskEvent('error', task, owner, err);
+					TaskManager.onError && _invokeHook('TaskManager.onError', TaskManager.onError, [err, task, owner.id]);
+				} else if (task.isComplete() || task.dueAt) {
+					_triggerTaskEvent('complete', task, owner, result);
+				}
+				
+				// Put it back in line once the retry delay (or the interval of a recurring task) has passed
+				task.isSettled() || !task.dueAt || _scheduleTask(task, owner);
+				// Tasks depending on a task that failed (or was cancelled) will never be performed
+				task.isSettled() && task.error && (dropped = _dropDependents());
+				
+				if (callback) {
+					// An interrupted (or retried) task will be continued later on, so wait for it
+					task.whenSettled(function(err) {
+						callback(task.result, err || undefined);
+					});
+				}
+			} finally {
+				// Process the next task unless overruled (whatever happened above, the slot of this task has been released)
+				if (!returnControl) {
+					_schedule(_performTask, [task]); // This defer is part of the actual mechanism. Once a Task is done, defer the selection of the next one.
+				} else if (dropped || _hasDependents(owner, task)) {
+					Platform.defer(TaskManager.check); // Tasks (or requests) waiting for this one may be handled now, so wake up if we dozed off
+				}
+			}
+			
+			_checkIdleRequests();
+		};
+		
+		// The task may have been performed, destroyed or put back in line by other means while its execution was deferred
+		if (!returnControl && (task.state !== task.statics.state.PENDING || !owner.liveTasks || owner.liveTasks[task.id] !== task)) {
+			_schedule(_performTask, [task]);
+			return;
+		}
+		
+		startTs = Platform.now();
+		task.idle || (_lastWorkTs = startTs);
+		// Hold on to the profiler, in case it is detached while the task is running
+		run = _profiler && {profiler: _profiler, record: _profiler.begin(task, owner)};
+		
+		_triggerTaskEvent('start', task, owner);
+		
+		// Slices may still be reported after the run ended (by the slice that finished the task), so only stop watching them now
+		task.off('slice', null, TaskManager);
+		task.on('slice', function(task, sliceStart, duration) {
+			// A slice that is part of the execution itself is watched along with it
+			executing || _watch(task, owner, duration);
+		}, TaskManager);
+		
+		// Execute the function	
+		executing = true;
+		task.execute(owner, next, returnControl);
+		executing = false;
+		
+		// Watch for tasks that block the thread for too long
+		blockedMs = Platform.now() - startTs;
+		run && run.profiler.executed(run.record, blockedMs);
+		_watch(task, owner, blockedMs);
+	}
+	
 	/**
-	 * Register a new task owner that will immediately become the active owner.
+	 * Report the supplied task if it blocked the thread for longer than the threshold of the watchdog (see TaskManager#setWatchdog).
+	 * @private
 	 * 
-	 * Since names need not to be unique, an id is created 
-	 * and returned upon registration.
+	 * @param {Task.Task} task The task
+	 * @param {Task.Owner} owner The owner of the task
+	 * @param {Number} blockedMs The time it blocked the thread (in ms)
+	 */
+	function _watch(task, owner, blockedMs) {
+		if (_watchdogMs && blockedMs > _watchdogMs) {
+			_log('Warning: ['+owner.name+ ']: Task '+(task.name || '<no name>')+' blocked the thread for '+blockedMs+'ms');
+		}
+	}
+	
+	/**
+	 * Trigger a task event on the task itself, its owner and this TaskManager.
+	 * @private
 	 * 
-	 * @param {String} name Name of the task owner (not unique)
-	 * @param {Object} owner The actual object (instance) responsible for a number of tasks
-	 * @return {String} The identifier for this task owner
+	 * @param {"start"|"complete"|"error"} name The name of the event
+	 * @param {Task.Task} task The task
+	 * @param {Task.Owner} owner The owner of the task
+	 * @param {Mixed} [value] The result or error that comes with the event
 	 */
-	register: function(name, owner) {
-		owner = new TaskOwner(name, owner);  // Wrap the provided owner
-		
-		var id = owner.id;
-		
-		_log('New owner added: '+name);
+	function _triggerTaskEvent(name, task, owner, value) {
+		if (name === 'start') {
+			_trigger(task, name, task);
+			_trigger(owner, 'task:' + name, task);
+			_trigger(TaskManager, 'task:' + name, task, owner.id);
+		} else {
+			_trigger(task, name, value, task);
+			_trigger(owner, 'task:' + name, task, value);
+			_trigger(TaskManager, 'task:' + name, task, value, owner.id);
+		}
+	}
+	
+	/**
+	 * Trigger an event on the supplied object (a task, an owner or this TaskManager).
+	 * @private
+	 * 
+	 * An error thrown by a listener is logged rather than passed on, so it can't stall this TaskManager.
+	 * 
+	 * @param {Object} target The object to trigger the event on
+	 * @param {String} name The name of the event
+	 * @param {Mixed...} [args] The arguments to pass on to the listeners
+	 */
+	function _trigger(target, name) {
+		try {
+			target.trigger.apply(target, _.rest(arguments));
+		} catch (e) {
+			_log('Error: A listener to "'+name+'" threw: '+e);
+		}
+	}
+	
+	/**
+	 * Invoke the supplied function that was handed to this TaskManager (like a callback).
+	 * @private
+	 * 
+	 * An error thrown by the function is logged rather than passed on, so it can't stall this TaskManager.
+	 * 
+	 * @param {String} description Description of the function, used when logging
+	 * @param {Function} fn The function to invoke
+	 * @param {Array} args The arguments to invoke it with
+	 */
+	function _invokeHook(description, fn, args) {
+		try {
+			fn.apply(null, args);
+		} catch (e) {
+			_log('Error: '+description+' threw: '+e);
+		}
+	}
 	
-		// Create a new Task Owner
-		_taskOwners[id] = owner;
-		// Add it to the top of the stack
-		_taskOwnerStack.push(id);
-		// Mark it as active
-		_activeTaskOwner = id;
+	/**
+	 * Update whether this TaskManager is running, signalling the transitions between being idle and busy.
+	 * @private
+	 * 
+	 * @param {Boolean} running True if tasks are being performed, false otherwise
+	 */
+	function _setRunning(running) {
+		if (_running === running) {
+			return;
+		}
 		
-		return id;
-	},
+		_running = running;
+		_trigger(TaskManager, running ? 'busy' : 'idle');
+	}
 	
 	/**
-	 * Unregister the task owner.
+	 * Put a waiting task back in line once it is due (see Task.Task#dueAt).
+	 * @private
 	 * 
-	 * This will remove all pending tasks and remove this owner
-	 * from memory completely. Make sure to call this whenever closing the 
-	 * Owner, since it will linger on the stack indefinitely otherwise! 
+	 * All waiting tasks share a single timer, which is set for the first one that is due.
 	 * 
-	 * @param {String} ownerId The target owner's id
+	 * @param {Task.Task} task The task
+	 * @param {Task.Owner} owner The owner of the task
 	 */
-	unregister: function(ownerId) {
-		var i = _taskOwnerStack.length,
-			found = false;
+	function _scheduleTask(task, owner) {
+		var idx = _timers.length;
 		
-		if (!_taskOwners[ownerId]) {
-			return; // It does not exist, so do nothing
+		while (idx > 0 && _timers[idx - 1].dueAt > task.dueAt) {
+			idx--;
 		}
 		
-		_taskOwners[ownerId].destroy();
-		delete _taskOwners[ownerId];
+		_timers.splice(idx, 0, {task: task, owner: owner, dueAt: task.dueAt});
+		_setTimer();
+	}
+	
+	/**
+	 * Set the timer for the first waiting task that is due, if it isn't set for that moment already.
+	 * @private
+	 */
+	function _setTimer() {
+		var dueAt = _timers.length ? _timers[0].dueAt : 0;
 		
-		if (_activeTaskOwner === ownerId) {
-			_taskOwnerStack.pop();
-			_activeTaskOwner = _taskOwnerStack[_taskOwnerStack.length - 1];
-		} else {
-			while (i > 0 && !found) {
-				if (_taskOwnerStack[--i] === ownerId) {
-					_taskOwnerStack.splice(i, 1);
-					found = true;
-				}
-			}
-			_activeTaskOwner = _taskOwnerStack[_taskOwnerStack.length - 1];
+		if (_timer && _timer.dueAt === dueAt) {
+			return;
+		}
+		
+		_timer && Platform.cancel(_timer.handle);
+		_timer = dueAt ? {dueAt: dueAt, handle: Platform.delay(_onTimer, Math.max(dueAt - Platform.now(), 0))} : null;
+	}
+	
+	/**
+	 * Put all waiting tasks that are due back in line, and wake up if we dozed off.
+	 * @private
+	 */
+	function _onTimer() {
+		var now = Platform.now(),
+			requeued = false;
+		
+		_timer = null;
+		
+		while (_timers.length && _timers[0].dueAt <= now) {
+			requeued = _requeueTask(_timers.shift()) || requeued;
 		}
-	},
+		
+		_setTimer();
+		requeued && TaskManager.check();
+	}
 	
 	/**
-	 * Activate a task owner so that it's tasks go to the top of the priority stack.
+	 * Drop the timers of the waiting tasks of an owner (that is unregistered), which stops its recurring tasks.
+	 * @private
 	 * 
-	 * @param {String} ownerId The target owner's id 
+	 * @param {Task.Owner} owner The owner
 	 */
-	activate: function(ownerId) {
-		_activate(ownerId);
+	function _dropTimers(owner) {
+		_timers = _.reject(_timers, function(timer) {
+			return timer.owner === owner;
+		});
 		
-		this.check();
-	},
+		_setTimer();
+	}
 	
 	/**
-	 * Add a new task to the supplied owner.
+	 * Put a waiting task back in line.
+	 * @private
 	 * 
-	 * @param {String} ownerId The target owner's id
-	 * @param {Task.Task|Object|Array} task A task instance, description, or an array of thereof. See Task.Task#constructor 
+	 * @param {Object} timer The timer of the task (see _timers)
+	 * @return {Boolean} True if the task was put back in line, false otherwise (e.g. if it was cancelled in the meantime)
 	 */
-	addTask: function(ownerId, task) {
-		if (_.isArray(task)) {
-			_.each(task, _taskOwners[ownerId].add, _taskOwners[ownerId]);
-		} else {
-			_taskOwners[ownerId].add(task);
+	function _requeueTask(timer) {
+		var task = timer.task,
+			owner = timer.owner;
+		
+		// Skip tasks that have been rescheduled, or were dropped (along with their owner) in the meantime
+		if (task.dueAt !== timer.dueAt || _taskOwners[owner.id] !== owner || !owner.requeue(task)) {
+			return false;
 		}
 		
-		this.check(ownerId);
-	},
+		task.idle || _yieldIdleTasks();
+		
+		if (_debug) {
+			if (task.error) {
+				_log('['+owner.name+ ']: Retrying task '+(task.name || '<no name>')+' (attempt '+(task.failures + 1)+')');
+			} else {
+				_log('['+owner.name+ ']: Task '+(task.name || '<no name>')+' is due');
+			}
+		}
+		
+		return true;
+	}
 	
 	/**
-	 * Require a task, or several tasks to be completed as soon as possible.
-	 * 
-	 * The tasks are performed in the order they are provided. Multiple calls to this function will append the new tasks to an internal queue.
+	 * Defer the invocation of the supplied function, unless the budget of the current slice allows for it to be invoked back-to-back.
+	 * @private
 	 * 
-	 * If immediate is set to true, the task(s) are run immediately, synchronously and blocking responsiveness. If set to false,
-	 * the task is simply moved to the top of the priority stack and executed when able.
-	 * 
-	 * When all required tasks have been perfomed the callback function (if provided) will be executed.
+	 * @param {Function} fn The function to invoke
+	 * @param {Array} args The arguments to invoke it with
+	 */
+	function _schedule(fn, args) {
+		if (_budgetMs && _slice && Platform.now() - _slice.start < _budgetMs) {
+			_slice.queue.push([fn, args]);
+		} else {
+			Platform.defer(_performSlice, fn, args);
+		}
+	}
+	
+	/**
+	 * Start a new slice by invoking the supplied function, followed by all functions scheduled while the budget lasts.
+	 * @private
 	 * 
-	 * Note: If you unregister the owner before the required tasks were (all) performed, they won't be performed at all and the callback won't be executed either.
-	 * If you need to get stuff done right away, before you can continue, set immediate to true.
+	 * The functions are queued rather than invoked recursively, so performing many tasks back-to-back won't grow the stack.
 	 * 
-	 * @param {String} ownerId The id of the owner containing the task(s)
-	 * @param {String|Array} taskId The id of the task that is to be performed, or an array containing several task id's
-	 * @param {Object} [options] Dictionary containing additional instructions
-	 * @param {Boolean} [options.immediate=false] True to execute the task(s) right now (synchronously & blocking), false otherwise
-	 * @param {Function} [options.callback] The function to perform once all required tasks have been executed
-	 * @param {Boolean} [options.passResults=false] True to pass the results of all tasks (as an array) to options.callback when it is executed, false otherwise
+	 * @param {Function} fn The function to invoke
+	 * @param {Array} args The arguments to invoke it with
 	 */
-	requireTask: function(ownerId, taskId, options) {
-		var result, performTask;
+	function _performSlice(fn, args) {
+		var item = [fn, args],
+			queue;
 		
-		!_.isArray(taskId) && (taskId = [taskId]);
-		options || (options = {});
+		_slice = {start: Platform.now(), queue: []};
 		
-		if (options.immediate) {
-			// Require the tasks to perform immediately.
-			performTask = _.partial(_performImmediateTask, ownerId);
-			result = options.passResults ? _.each(taskId, performTask) : _.map(taskId, performTask);
-			options.callback && options.callback(result);
-		} else {
-			// Create a priority object that will be handled first
-			_priorityStack.push({
-				ownerId: ownerId,
-				taskIds: taskId,
-				callback: options.callback || false,
-				passResults: !!options.passResults,
-				// Internal stuff
-				results: [],
-				currentIdx: 0
+		try {
+			while (item) {
+				item[0].apply(null, item[1]);
+				item = _slice.queue.shift();
+			}
+		} finally {
+			queue = _slice.queue;
+			_slice = null;
+			
+			// If a function threw, continue with what is left of the queue in a fresh slice
+			_.each(queue, function(item) {
+				Platform.defer(_performSlice, item[0], item[1]);
 			});
-			// In case we dozed of, get this done!
-			this.check();
 		}
-	},
+	}
 	
 	/**
-	 * Check if there are tasks that can be performed.
+	 * Finish a requireTask-request by invoking its callback (if assigned) and settling its promise.
+	 * @private
 	 * 
-	 * When no task is being executed currently, it will trigger the core mechanism to look for a valid task to perform.
-	 * If found, this task will then be perfomed (deferred).
-	 * 
-	 * This method can be executed arbitrarily, but should at least be invoked when the active owner could change. 
-	 * 
-	 * @param {String} [activeOwnerId] If passed, then this owner will be activated first (see TaskManager#activate)
+	 * @param {Object} request The request (see _priorityStack)
+	 * @param {Error} [err] The error that stopped the request, if any
 	 */
-	check: function(activeOwnerId) {
-		if (activeOwnerId && _activeTaskOwner !== activeOwnerId) {
-			_activate(activeOwnerId);
+	function _finishRequest(request, err) {
+		var callback = request.callback,
+			results = request.results;
+		
+		if (!callback) {
+			// Nothing to invoke
+		} else if (err) {
+			_invokeHook('The callback of a requireTask-request', callback, [request.passResults ? results : undefined, err]);
+		} else {
+			_invokeHook('The callback of a requireTask-request', callback, request.passResults ? [results] : []);
 		}
 		
-		_running || _performTask();
+		err ? request.deferred.reject(err) : request.deferred.resolve(request.single ? results[0] : results);
 	}
-};
-
-/**
- * @property {String} _activeTaskOwner The ID of the last registered or activated task owner
- * @private
- */
-var _activeTaskOwner = null,
-
-/**
- * @property {Object} _taskOwners All registered task owners
- * @private
- */
-	_taskOwners = {},
-	
-/**
- * @property {Array} _taskOwnerStack The internal stack that directs the order in which task owner instances should have their tasks executed
- * @private
- */
-	_taskOwnerStack = [],
 	
-/**
- * @property {Array} _priorityStack Stack of dictionaries that define request that are to be handled first.
- * 
- * A dictionary element consists of the following attributes:
- * - ownerId - The id of the owner of the tasks
- * - taskIds - Array containing task id's
- * - callback - Function (or null) that is to be performed when all tasks have been performed
- * - passResults - Boolean value; True to pass an array containing all results to the callback function
- * - results - Array containing the current returned results
- * 
- * @private
- */
-	_priorityStack = [],
-	
-/**
- * @property {Boolean} _running True if the TaskManager is actively executing tasks at this moment, false otherwise
- * @private
- */
-	_running = false,
-	
-/**
- * @property {Boolean} _debug True to run in debugging mode, false otherwise
- * @private
- */
-	_debug = true;
-
-/**
- * Reactivate a task owner so that it will have its tasks completed first.
- * @private
- * 
- * @param {String} ownerId The task owner identifier 
- */
-function _activate(ownerId) {
-	var i = _taskOwnerStack.length,
-		found = false;
-	
-	if (!_taskOwners[ownerId]) {
-		return; // It does not exist, so do nothing
-	}
-		
-	if (_activeTaskOwner === ownerId) {
-		return; // This owner is already the active owner
-	}
+	/**
+	 * Create a deferred: a promise along with the functions to resolve or reject it.
+	 * @private
+	 * 
+	 * Rejections need not be handled, since callbacks may be used instead. If no Promise implementation is available,
+	 * the promise is null and resolving or rejecting does nothing.
+	 * 
+	 * @return {Object} Dictionary containing the promise, and the resolve and reject functions
+	 */
+	function _createDeferred() {
+		var deferred = {
+			promise: null,
+			resolve: function() {},
+			reject: function() {}
+		};
 		
-	while (i > 0 && !found) {
-		if (_taskOwnerStack[--i] === ownerId) {
-			_taskOwnerStack.splice(i, 1);
-			_taskOwnerStack.push(ownerId);
-			_activeTaskOwner = ownerId;
-			found = true;
+		if (TaskManager.Promise) {
+			deferred.promise = new TaskManager.Promise(function(resolve, reject) {
+				deferred.resolve = resolve;
+				deferred.reject = reject;
+			});
+			deferred.promise.then(null, function() {});
 		}
+		
+		return deferred;
 	}
-}
-
-/**
- * Perform the next task.
- * @private
- * 
- * The engine of TaskManager. This function checks owners (in order of priority)
- * for pending tasks and executes the first returned. Before it checks the owners however,
- * it first checks the priority stack. When a task is required (asynchronously) it ends up on this stack.
- */
-function _performTask() {
-	// If a priority task can be performed, make sure to get that done first
-	if (_performPriorityTask()) {
-		_running = true;
-		return;
+	
+	/**
+	 * Wait for all supplied tasks to settle.
+	 * @private
+	 * 
+	 * @param {Array} tasks The tasks
+	 * @param {Function} callback Function that receives the results of all tasks, or the error of the first one to fail or be cancelled
+	 */
+	function _whenAllSettled(tasks, callback) {
+		var results = new Array(tasks.length),
+			remaining = tasks.length,
+			failed = false;
+		
+		_.each(tasks, function(task, idx) {
+			task.whenSettled(function(err, result) {
+				if (failed) {
+					return;
+				} else if (err) {
+					failed = true;
+					callback(results, err);
+				} else {
+					results[idx] = result;
+					--remaining || callback(results);
+				}
+			});
+		});
 	}
 	
-	// Now make sure there are task owners (still) registered
-	if (!_taskOwnerStack.length) {
-		_running = false;
-		return;
+	/**
+	 * Resolve the idle requests (see TaskManager#whenIdle) for owners that ran out of tasks.
+	 * @private
+	 */
+	function _checkIdleRequests() {
+		_idleRequests = _.filter(_idleRequests, function(request) {
+			var drained = request.ownerId ? _isDrained(request.ownerId) : _.every(_.keys(_taskOwners), _isDrained);
+			
+			drained && request.deferred.resolve();
+			return !drained;
+		});
 	}
 	
-	var owner = _taskOwners[_activeTaskOwner],
-		task = owner.getNext(), // Pick the next task
-		ownerNum = _taskOwnerStack.length,
-		ownersChecked = 1;
+	/**
+	 * Check if the supplied owner has run out of tasks.
+	 * @private
+	 * 
+	 * @param {String} ownerId The owner's id
+	 * @return {Boolean} True if the owner has no pending or running tasks (or does not exist), false otherwise
+	 */
+	function _isDrained(ownerId) {
+		var owner = _taskOwners[ownerId];
+		
+		return !owner || (!owner.isBusy() && _.isEmpty(owner.tasks));
+	}
 	
-	// If the active owner has no more tasks, traverse the other owners till one was found
-	while (!task && ownersChecked !== ownerNum) {
-		// No task returned: deactivate this owner and move it to the bottom of the stack
-		_taskOwnerStack.unshift(_taskOwnerStack.pop());
-		ownersChecked++;
+	/**
+	 * Describe the supplied owner and its descendants (see TaskManager#getOwnerTree).
+	 * @private
+	 * 
+	 * @param {String} ownerId The owner's id
+	 * @return {Object} The description
+	 */
+	function _describeOwner(ownerId) {
+		var owner = _taskOwners[ownerId];
 		
-		// Activate the owner that came prior to the current one
-		_activeTaskOwner = _taskOwnerStack[_taskOwnerStack.length - 1];
-		owner = _taskOwners[_activeTaskOwner];
-		task = owner.getNext(); // Pick the next task
+		return {
+			id: owner.id,
+			name: owner.name,
+			active: _isActive(ownerId),
+			paused: owner.paused,
+			pending: _.size(owner.tasks),
+			live: _.size(owner.liveTasks),
+			children: _.map(owner.childIds, _describeOwner)
+		};
 	}
 	
-	// If no owner has any (relevant) tasks left, then shut down (for now)
-	if (!task && ownersChecked === ownerNum) {
-		_running = false;
-		return;
+	/**
+	 * Retrieve the registered owner with the supplied id.
+	 * @private
+	 * 
+	 * @param {String} ownerId The owner's id
+	 * @return {Task.Owner} The owner, or null if not registered
+	 */
+	function _getOwner(ownerId) {
+		return _taskOwners[ownerId] || null;
 	}
 	
-	_running = true;
-	_.defer(_executeTask, task, owner); // Internal use of defer, not part of the actual mechanism deployed by TaskManager
-}
-
-/**
- * Perform a priority task if possible.
- * @private
- * 
- * @return {Boolean} True If a priority task will be performed next, false otherwise
- */
-function _performPriorityTask() {
-	if (!_priorityStack.length) {
-		return false;
+	/**
+	 * Check if any registered owner has pending tasks that depend on the supplied task.
+	 * @private
+	 * 
+	 * @param {Task.Owner} owner The owner of the task
+	 * @param {Task.Task} task The task
+	 * @return {Boolean} True if at least one pending task depends on it, false otherwise
+	 */
+	function _hasDependents(owner, task) {
+		return _.some(_taskOwners, function(candidate) {
+			return candidate.awaits(owner, task.id);
+		});
 	}
+	
+	/**
+	 * Cancel all pending tasks that depend on a task that failed or was cancelled (see Task.Owner#getFailedPrerequisite).
+	 * @private
+	 * 
+	 * Since cancelling a task affects the tasks depending on it in turn, this repeats until no such task is left.
+	 * 
+	 * @return {Number} The number of tasks that were cancelled
+	 */
+	function _dropDependents() {
+		var total = 0,
+			dropped = true;
 		
-	var request = _priorityStack[0],
-		owner = _taskOwners[request.ownerId],
-		currentIdx = request.currentIdx,
-		taskNum = request.taskIds.length,
-		taskId = request.taskIds[currentIdx],
-		task = owner.get(taskId),
-		completed = false;
+		while (dropped) {
+			dropped = 0;
+			
+			_.each(_taskOwners, function(owner) {
+				_.each(_.values(owner.tasks), function(task) {
+					_dropDependent(owner, task) && dropped++;
+				});
+			});
+			
+			total += dropped;
+		}
 		
-	if (!task) {
-		return false; // This should not happen, throw an error
+		return total;
 	}
 	
-	while (task.isComplete() && !completed) {
-		request.results.push(task.result);
-		request.currentIdx = ++currentIdx;
+	/**
+	 * Cancel the supplied pending task if one of its prerequisites failed or was cancelled.
+	 * @private
+	 * 
+	 * The error it is cancelled with refers to the error of the prerequisite as its cause.
+	 * 
+	 * @param {Task.Owner} owner The owner of the task
+	 * @param {Task.Task} task The task
+	 * @return {Boolean} True if the task was cancelled, false otherwise
+	 */
+	function _dropDependent(owner, task) {
+		var prerequisite = owner.tasks && owner.tasks[task.id] === task && owner.getFailedPrerequisite(task),
+			err;
 		
-		if (currentIdx < taskNum) {
-			taskId = request.taskIds[currentIdx],
-			task = owner.get(taskId);
-		} else {
-			completed = true;
+		if (!prerequisite) {
+			return false;
 		}
-	}// TODO: Check for active task as well
+		
+		err = new Error('Prerequisite "' + prerequisite.id + '" of task "' + task.id + '" ' +
+			(prerequisite.state === prerequisite.statics.state.CANCELLED ? 'was cancelled' : 'failed') +
+			(prerequisite.error ? ': ' + prerequisite.error.message : ''));
+		err.cause = prerequisite.error;
+		
+		_debug && _log('['+owner.name+ ']: Dropped task '+(task.name || '<no name>')+': '+err.message);
+		
+		return owner.cancel(task.id, err);
+	}
 	
-	if (completed) {
-		// Remove this priority item/list
-		_priorityStack.shift();
+	/**
+	 * Add a task to an owner.
+	 * @private
+	 * 
+	 * @param {Task.Owner} owner The owner
+	 * @param {Task.Task|Object} task A task instance or definition
+	 * @return {Task.Task} The task that was added
+	 */
+	function _addTask(owner, task) {
+		var record;
+		
+		task = owner.add(task);
+		task.logger = _log;
 		
-		// Invoke callback if assigned
-		if (request.callback) {
-			request.passResults ? request.callback(request.results) : request.callback();
+		// It will never be performed if one of its prerequisites failed already
+		if (_dropDependent(owner, task)) {
+			return task;
 		}
 		
-		return false;
+		!task.timeoutMs && _defaultTimeoutMs && (task.timeoutMs = _defaultTimeoutMs);
+		// A delayed task is put in line once it is due
+		task.dueAt && !_.findWhere(_timers, {task: task}) && _scheduleTask(task, owner);
+		// Normal work takes precedence over idle tasks
+		task.idle || task.dueAt || _yieldIdleTasks();
+		
+		// A persistent task may have absorbed the arguments of a task with the same key
+		record = _findRecord(task);
+		
+		if (record && record.definition.arguments !== task.arguments) {
+			record.definition.arguments = task.arguments;
+			_writeStorage();
+		}
+		
+		return task;
 	}
 	
-	// Execute
-	if (owner.setNext(task.id)) {
-		_.defer(_executeTask, task, owner); // Internal use of defer, not part of the actual mechanism deployed by TaskManager
-		return true;
-	} else {
-		return false; // TODO: Throw error and remove the priorityTask
-	}
-}
-
-/**
- * Perform the task passed immediately, blocking the thread. The task is performed outside
- * of the normal operation of this TaskManager.
- * @private
- * 
- * @param {String} ownerId The id of the owner that owns the task
- * @param {String} taskId The id of the task that is to be performed
- */
-function _performImmediateTask(ownerId, taskId) {
-	var owner = _taskOwners[ownerId],
-		task;
+	/**
+	 * Find the pending task with the supplied key among all owners (see Task.Owner#lookupKey).
+	 * @private
+	 * 
+	 * @param {String} key The key
+	 * @return {Object} Dictionary containing the owner and the task, or null if not found
+	 */
+	function _findByKey(key) {
+		var found = null;
 		
-	if (!owner) {
-		return;
-	}
+		_.find(_taskOwners, function(owner) {
+			var task = owner.findByKey(key);
+			
+			task && (found = {owner: owner, task: task});
+			return !!task;
+		});
 		
-	task = owner.get(taskId);
+		return found;
+	}
 	
-	if (!task) {
-		return;
-	} else if (task.isComplete()) {
-		return task.result;
+	/**
+	 * Find the record of the supplied persistent task.
+	 * @private
+	 * 
+	 * @param {Task.Task} task The task
+	 * @return {Object} The record (see _storedTasks), or null if the task is not stored
+	 */
+	function _findRecord(task) {
+		return (task.persistent && _.find(_storedTasks, function(record) {
+			return _restoredTasks[record.key] === task;
+		})) || null;
 	}
 	
-	_executeTask(task, owner, true);
-}
-
-/**
- * Execute the supplied task.
- * @private
- * 
- * This is a special function that is (normally) not called directly, but through _.defer. 
- * It executes the task assigned, and afterwards signals this TaskManager to move on to the next task.
- * 
- * The returnControl-parameter should only be set to true if execution of tasks is (temporarily) managed by another process.
- * For instance, when invoking TaskManager.requireTask with immediate set to true.
- * 
- * The callback argument is in addition to the (optional) callback defined in each task. It is only set in special circumstances
- * outside of normal operation.
- * 
- * @param {Task.Task} task The task that is to be executed
- * @param {Task.Owner} owner The owner that owns this task
- * @param {Boolean} [returnControl=false] True to step out of the normal operation and return control after execution, false otherwise
- * @param {Function} [callback] Additional callback that will be invoked when the task completes
- */
-function _executeTask(task, owner, returnControl, callback) {
-	var startTs;
-		
-	var next = function(result) {
-		var endTs;
+	/**
+	 * Keep a persistent task in storage until it settles, along with the progress of an IterationTask.
+	 * @private
+	 * 
+	 * The progress is saved whenever an IterationTask is interrupted, and at most once per second while it runs.
+	 * 
+	 * @param {Task.Task} task The task
+	 * @param {Object} record The record of the task (see _storedTasks)
+	 */
+	function _storeTask(task, record) {
+		var savedTs = Platform.now(),
+			saveProgress;
 		
-		if (_debug) {
-			endTs = +new Date();
-			_log('['+owner.name+ ']: Finished task '+(task.name || '<no name>')+' in '+(endTs - startTs)+'ms'); // Add log data
+		if (!_storage) {
+			_log('Warning: No storage to keep persistent task '+(task.name || task.id)+' in (see setStorage)');
+			return;
 		}
 		
-		callback && callback(result);
+		_.contains(_storedTasks, record) || _storedTasks.push(record);
+		_restoredTasks[record.key] = task;
+		_writeStorage();
+		
+		saveProgress = function() {
+			if (task.state === task.statics.state.ACTIVE && Platform.now() - savedTs < 1000) {
+				return;
+			}
+			
+			savedTs = Platform.now();
+			record.progress = task.getProgress();
+			record.result = task.result;
+			_writeStorage();
+		};
+		
+		task.on('slice', saveProgress);
+		task.whenSettled(function() {
+			task.off('slice', saveProgress);
+			_storedTasks = _.without(_storedTasks, record);
+			_writeStorage();
+		});
+	}
+	
+	/**
+	 * Restore the persistent tasks that were stored for owners by the name of the supplied owner.
+	 * @private
+	 * 
+	 * Tasks that can't be restored (e.g. because their task type is no longer defined) are left in storage.
+	 * 
+	 * @param {Task.Owner} owner The owner
+	 * @return {Boolean} True if any tasks were restored, false otherwise
+	 */
+	function _restoreTasks(owner) {
+		var records = _.filter(_storedTasks, function(record) {
+			return record.owner === owner.name && !_restoredTasks[record.key];
+		});
 		
-		// Process the next task unless overruled
-		if (!returnControl) {
-			_.defer(_performTask); // This defer is part of the actual mechanism. Once a Task is done, defer the selection of the next one.
+		return _.filter(records, function(record) {
+			var task;
+			
+			try {
+				task = _addTask(owner, record.definition);
+			} catch (err) {
+				_log('Error: Could not restore persistent task '+(record.definition.id || record.definition.type)+': '+err.message);
+				return false;
+			}
+			
+			if (record.progress) {
+				task.currentIteration = record.progress;
+				task.result = record.result;
+			}
+			
+			_debug && _log('['+owner.name+ ']: Restored task '+(task.name || task.id));
+			_storeTask(task, record);
+			return true;
+		}).length > 0;
+	}
+	
+	/**
+	 * Write the records of the persistent tasks to storage.
+	 * @private
+	 */
+	function _writeStorage() {
+		_storage && _storage.write({tasks: _storedTasks});
+	}
+	
+	/**
+	 * Check if the supplied value can be serialized (as JSON) without losing anything.
+	 * @private
+	 * 
+	 * @param {Mixed} value The value
+	 * @return {Boolean} True if it can be serialized, false otherwise
+	 */
+	function _isSerializable(value) {
+		if (_.isFunction(value)) {
+			return false;
+		} else if (_.isObject(value)) {
+			return _.every(value, _isSerializable);
 		}
-	};
+		
+		return true;
+	}
 	
-	if (_debug) {
-		startTs = +new Date();
+	/**
+	 * Log the supplied message.
+	 * 
+	 * @param {String} msg The message
+	 * @private
+	 */
+	function _log (msg) {
+		(_logger || Platform.log)(msg + " (TaskManager)");
 	}
 	
-	// Execute the function	
-	task.execute(owner, next, returnControl);
-}
-
-/**
- * Log the supplied message.
- * 
- * @param {String} msg The message
- * @private
- */
-function _log (msg) {
-	Ti.API.info(msg + " (TaskManager)");
+	/**
+	 * Log the supplied message of an owner, in debugging mode only.
+	 * 
+	 * @param {String} msg The message
+	 * @private
+	 */
+	function _logOwner(msg) {
+		_debug && _log(msg);
+	}
+	
+	// Make TaskManager emit lifecycle events
+	_.extend(TaskManager, Platform.Events);
+	
+	TaskManager.configure(options);
+	
+	return TaskManager;
 }
 
-module.exports = TaskManager;
\ No newline at end of file
+module.exports = _createTaskManager();
\ No newline at end of file
@@ -0,0 +1,97 @@
+var assert = require('assert'),
+	_ = require('Platform')._,
+	harness = require('./support/harness');
+
+describe('Cancellation', function() {
+	var env = harness(),
+		ownerId;
+	
+	/**
+	 * Create the definition of an asynchronous task that never completes by itself, and listens for its cancellation.
+	 * 
+	 * @param {String} id The id of the task
+	 * @param {Function} onAbort Function that is invoked once the task is cancelled
+	 * @return {Object} The definition
+	 */
+	function hanging(id, onAbort) {
+		return {
+			id: id,
+			async: true,
+			cancellable: true,
+			fn: function(signal, done) {
+				signal.addEventListener('abort', onAbort);
+			}
+		};
+	}
+	
+	beforeEach(function() {
+		ownerId = env.manager.register('owner', {});
+	});
+	
+	it('never performs a pending task that was cancelled', function() {
+		var performed = [],
+			promise;
+		
+		promise = env.manager.addTask(ownerId, {id: 'a', delayMs: 100, fn: function() { performed.push('a'); }});
+		
+		assert.equal(env.manager.cancelTask(ownerId, 'a', 'Not needed'), true);
+		assert.equal(env.manager.cancelTask(ownerId, 'a'), false);
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, []);
+		
+		return promise.then(function() {
+			assert.fail('The promise should have been rejected');
+		}, function(err) {
+			assert.ok(err.cancelled);
+			assert.equal(err.message, 'Not needed');
+		});
+	});
+	
+	it('aborts the signal of a running task and moves on', function() {
+		var aborted = [],
+			performed = [];
+		
+		env.manager.addTask(ownerId, hanging('a', function(event) { aborted.push(event.target.reason.message); }));
+		env.manager.addTask(ownerId, {id: 'b', fn: function() { performed.push('b'); }});
+		env.scheduler.runNext();
+		
+		assert.equal(env.manager.cancelTask(ownerId, 'a', 'Not needed'), true);
+		env.scheduler.runAll();
+		
+		assert.deepEqual(aborted, ['Not needed']);
+		assert.deepEqual(performed, ['b']);
+	});
+	
+	it('moves on when a function listening for the cancellation throws', function() {
+		var performed = [];
+		
+		env.manager.addTask(ownerId, hanging('a', function() { throw new Error('listener'); }));
+		env.manager.addTask(ownerId, {id: 'b', fn: function() { performed.push('b'); }});
+		env.scheduler.runNext();
+		
+		assert.equal(env.manager.cancelTask(ownerId, 'a'), true);
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['b']);
+		assert.ok(_.some(env.logs, function(msg) { return /listening for the cancellation threw: Error: listener/.test(msg); }));
+	});
+	
+	it('moves on when a function listening for the cancellation throws on a timeout', function() {
+		var performed = [],
+			promise;
+		
+		promise = env.manager.addTask(ownerId, _.extend(hanging('a', function() { throw new Error('listener'); }), {timeoutMs: 500}));
+		env.manager.addTask(ownerId, {id: 'b', fn: function() { performed.push('b'); }});
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['b']);
+		assert.ok(_.some(env.logs, function(msg) { return /listening for the cancellation threw: Error: listener/.test(msg); }));
+		
+		return promise.then(function() {
+			assert.fail('The promise should have been rejected');
+		}, function(err) {
+			assert.ok(err.timedOut);
+		});
+	});
+});
@@ -0,0 +1,81 @@
+var assert = require('assert'),
+	Platform = require('Platform'),
+	_ = Platform._,
+	harness = require('./support/harness');
+
+/**
+ * Create the definition of an asynchronous task that records when it starts and finishes.
+ * 
+ * @param {String} id The id of the task
+ * @param {Array} performed The array to record the events in (as "id+@time" and "id-@time")
+ * @param {Object} [options] Additional settings of the task (e.g. exclusive)
+ * @return {Object} The definition
+ */
+function request(id, performed, options) {
+	return _.extend({
+		id: id,
+		async: true,
+		fn: function(done) {
+			performed.push(id + '+@' + Platform.now());
+			
+			Platform.delay(function() {
+				performed.push(id + '-@' + Platform.now());
+				done();
+			}, 100);
+		}
+	}, options);
+}
+
+describe('Concurrency', function() {
+	describe('by default', function() {
+		var env = harness();
+		
+		it('starts a task once the previous one has settled', function() {
+			var performed = [],
+				ownerId = env.manager.register('owner', {});
+			
+			env.manager.addTask(ownerId, [request('a', performed), request('b', performed)]);
+			env.scheduler.runAll();
+			
+			assert.deepEqual(performed, ['a+@1000', 'a-@1100', 'b+@1100', 'b-@1200']);
+		});
+	});
+	
+	describe('with several tasks at a time', function() {
+		var env = harness({maxConcurrent: 2});
+		
+		it('fills the free slots', function() {
+			var performed = [],
+				ownerId = env.manager.register('owner', {});
+			
+			env.manager.addTask(ownerId, [request('a', performed), request('b', performed), request('c', performed)]);
+			env.scheduler.runAll();
+			
+			assert.deepEqual(performed, ['a+@1000', 'b+@1000', 'a-@1100', 'b-@1100', 'c+@1100', 'c-@1200']);
+		});
+		
+		it('respects the limit of an owner', function() {
+			var performed = [],
+				limitedId = env.manager.register('limited', {}, {maxConcurrent: 1}),
+				otherId = env.manager.register('other', {});
+			
+			env.manager.addTask(limitedId, [request('a', performed), request('b', performed)]);
+			env.manager.addTask(otherId, request('c', performed));
+			env.scheduler.runAll();
+			
+			assert.deepEqual(performed, ['c+@1000', 'a+@1000', 'c-@1100', 'a-@1100', 'b+@1100', 'b-@1200']);
+		});
+		
+		it('never lets an exclusive task overlap another task', function() {
+			var performed = [],
+				ownerId = env.manager.register('owner', {});
+			
+			env.manager.addTask(ownerId, request('a', performed));
+			env.scheduler.runNext();
+			env.manager.addTask(ownerId, [request('b', performed, {exclusive: true}), request('c', performed)]);
+			env.scheduler.runAll();
+			
+			assert.deepEqual(performed, ['a+@1000', 'a-@1100', 'b+@1100', 'b-@1200', 'c+@1200', 'c-@1300']);
+		});
+	});
+});
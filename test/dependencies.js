@@ -0,0 +1,100 @@
+var assert = require('assert'),
+	harness = require('./support/harness');
+
+describe('Dependencies', function() {
+	var env = harness(),
+		ownerId;
+	
+	beforeEach(function() {
+		ownerId = env.manager.register('owner', {});
+	});
+	
+	it('performs a task after its prerequisites', function() {
+		var performed = [];
+		
+		env.manager.addTask(ownerId, {id: 'b', dependsOn: 'a', fn: function() { performed.push('b'); }});
+		env.manager.addTask(ownerId, {id: 'a', fn: function() { performed.push('a'); }});
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['a', 'b']);
+	});
+	
+	it('resolves prerequisites of other owners', function() {
+		var performed = [],
+			otherId = env.manager.register('other', {});
+		
+		env.manager.addTask(otherId, {id: 'b', dependsOn: ownerId + ':a', fn: function() { performed.push('b'); }});
+		env.manager.addTask(ownerId, {id: 'a', fn: function() { performed.push('a'); }});
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['a', 'b']);
+	});
+	
+	it('cancels the tasks depending on a task that failed', function() {
+		var performed = [],
+			promise;
+		
+		env.manager.addTask(ownerId, {id: 'a', fn: function() { throw new Error('a failed'); }});
+		promise = env.manager.addTask(ownerId, {id: 'b', dependsOn: 'a', fn: function() { performed.push('b'); }});
+		env.manager.addTask(ownerId, {id: 'c', dependsOn: 'b', fn: function() { performed.push('c'); }});
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, []);
+		assert.equal(env.manager.getOwnerTree()[0].pending, 0);
+		
+		return promise.then(function() {
+			assert.fail('The promise should have been rejected');
+		}, function(err) {
+			assert.ok(err.cancelled);
+			assert.equal(err.cause.message, 'a failed');
+		});
+	});
+	
+	it('cancels the tasks depending on a task that was cancelled', function() {
+		var promise;
+		
+		env.manager.addTask(ownerId, {id: 'a', delayMs: 100, fn: function() {}});
+		promise = env.manager.addTask(ownerId, {id: 'b', dependsOn: 'a', fn: function() {}});
+		env.manager.cancelTask(ownerId, 'a', 'Not needed');
+		env.scheduler.runAll();
+		
+		return promise.then(function() {
+			assert.fail('The promise should have been rejected');
+		}, function(err) {
+			assert.equal(err.cause.message, 'Not needed');
+		});
+	});
+	
+	it('cancels a task that is added after its prerequisite failed', function() {
+		var promise;
+		
+		env.manager.addTask(ownerId, {id: 'a', fn: function() { throw new Error('a failed'); }});
+		env.scheduler.runAll();
+		promise = env.manager.addTask(ownerId, {id: 'b', dependsOn: 'a', fn: function() {}});
+		
+		return promise.then(function() {
+			assert.fail('The promise should have been rejected');
+		}, function(err) {
+			assert.equal(err.cause.message, 'a failed');
+		});
+	});
+	
+	it('rejects a request for a task whose prerequisite failed, and still goes idle', function() {
+		var request, idle;
+		
+		env.manager.addTask(ownerId, {id: 'a', fn: function() { throw new Error('a failed'); }});
+		env.manager.addTask(ownerId, {id: 'b', dependsOn: 'a', fn: function() {}});
+		request = env.manager.requireTask(ownerId, 'b');
+		idle = env.manager.whenIdle();
+		env.scheduler.runAll();
+		
+		return Promise.all([
+			request.then(function() {
+				assert.fail('The request should have been rejected');
+			}, function(err) {
+				assert.equal(err.cause.message, 'a failed');
+			}),
+			idle
+		]);
+	});
+});
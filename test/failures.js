@@ -0,0 +1,91 @@
+var assert = require('assert'),
+	_ = require('Platform')._,
+	harness = require('./support/harness');
+
+describe('Failures', function() {
+	var env = harness(),
+		ownerId;
+	
+	beforeEach(function() {
+		ownerId = env.manager.register('owner', {});
+	});
+	
+	it('moves on to the next task when a task fails', function() {
+		var performed = [];
+		
+		env.manager.addTask(ownerId, {id: 'a', fn: function() { performed.push('a'); throw new Error('a failed'); }});
+		env.manager.addTask(ownerId, {id: 'b', fn: function() { performed.push('b'); }});
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['a', 'b']);
+		assert.equal(env.manager.getOwnerTree()[0].pending, 0);
+	});
+	
+	it('keeps running when the hooks of a task throw', function() {
+		var performed = [];
+		
+		env.manager.addTask(ownerId, {
+			id: 'a',
+			fn: function() { performed.push('a'); },
+			callback: function() { throw new Error('callback'); }
+		});
+		env.manager.addTask(ownerId, {
+			id: 'b',
+			fn: function() { performed.push('b'); throw new Error('b failed'); },
+			onError: function() { throw new Error('onError'); }
+		});
+		env.manager.addTask(ownerId, {id: 'c', fn: function() { performed.push('c'); }});
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['a', 'b', 'c']);
+		assert.ok(_.some(env.logs, function(msg) { return /callback threw/.test(msg); }));
+		assert.ok(_.some(env.logs, function(msg) { return /onError threw/.test(msg); }));
+	});
+	
+	it('keeps running when a slice listener of a task throws', function() {
+		var performed = [];
+		
+		env.manager.on('task:start', function(task) {
+			task.on('slice', function() { throw new Error('slice'); });
+		});
+		env.manager.addTask(ownerId, {
+			id: 'a',
+			iterate: {list: [1, 2, 3, 4]},
+			fn: function(item) {
+				performed.push('a:' + item);
+			}
+		});
+		env.manager.addTask(ownerId, {id: 'b', fn: function() { performed.push('b'); }});
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['a:1', 'a:2', 'a:3', 'a:4', 'b']);
+		assert.ok(_.some(env.logs, function(msg) { return /Task "a": A listener to "slice" threw/.test(msg); }));
+	});
+	
+	it('keeps running when the global error handler or an event listener throws', function() {
+		var performed = [];
+		
+		env.manager.onError = function() { throw new Error('onError'); };
+		env.manager.on('task:complete', function() { throw new Error('listener'); });
+		
+		env.manager.addTask(ownerId, {id: 'a', fn: function() { performed.push('a'); throw new Error('a failed'); }});
+		env.manager.addTask(ownerId, {id: 'b', fn: function() { performed.push('b'); }});
+		env.manager.addTask(ownerId, {id: 'c', fn: function() { performed.push('c'); }});
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['a', 'b', 'c']);
+		assert.equal(env.scheduler.hasPending(), false);
+	});
+	
+	it('rejects the promise of a failed task', function() {
+		var promise = env.manager.addTask(ownerId, {id: 'a', fn: function() { throw new Error('a failed'); }});
+		
+		env.scheduler.runAll();
+		
+		return promise.then(function() {
+			assert.fail('The promise should have been rejected');
+		}, function(err) {
+			assert.equal(err.message, 'a failed');
+		});
+	});
+});
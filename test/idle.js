@@ -0,0 +1,94 @@
+var assert = require('assert'),
+	Platform = require('Platform'),
+	harness = require('./support/harness');
+
+describe('Idle tasks', function() {
+	describe('with one task at a time', function() {
+		var env = harness(),
+			ownerId;
+		
+		beforeEach(function() {
+			ownerId = env.manager.register('owner', {});
+		});
+		
+		it('waits until no normal task has run for a while', function() {
+			var performed = [];
+			
+			env.manager.addTask(ownerId, {id: 'idle', idle: {afterMs: 500}, fn: function() { performed.push('idle@' + Platform.now()); }});
+			env.manager.addTask(ownerId, {id: 'normal', fn: function() { performed.push('normal@' + Platform.now()); }});
+			env.scheduler.runAll();
+			
+			assert.deepEqual(performed, ['normal@1000', 'idle@1500']);
+		});
+		
+		it('waits for a while after the TaskManager was created as well', function() {
+			var performed = [];
+			
+			env.manager.addTask(ownerId, {id: 'idle', idle: {afterMs: 2000}, fn: function() { performed.push('idle@' + Platform.now()); }});
+			env.scheduler.runAll();
+			
+			assert.deepEqual(performed, ['idle@3000']);
+		});
+		
+		it('yields to normal work that arrives in the meantime', function() {
+			var performed = [];
+			
+			env.manager.addTask(ownerId, {
+				id: 'idle',
+				idle: true,
+				iterate: {list: [1, 2, 3, 4]},
+				fn: function(item) {
+					performed.push('idle:' + item);
+				}
+			});
+			env.scheduler.runNext(); // Schedules the task
+			env.scheduler.runNext(); // Performs its first slice
+			
+			env.manager.addTask(ownerId, {id: 'normal', fn: function() { performed.push('normal'); }});
+			env.scheduler.runAll();
+			
+			assert.deepEqual(performed, ['idle:1', 'idle:2', 'normal', 'idle:3', 'idle:4']);
+		});
+	});
+	
+	describe('with several tasks at a time', function() {
+		var env = harness({maxConcurrent: 3});
+		
+		it('does not keep checking while the owner is full', function() {
+			var performed = [],
+				ownerId = env.manager.register('owner', {}, {maxConcurrent: 1});
+			
+			env.manager.addTask(ownerId, {id: 'slow', async: true, fn: function(done) { Platform.delay(done, 1000); }});
+			env.manager.addTask(ownerId, {id: 'idle', idle: true, fn: function() { performed.push('idle@' + Platform.now()); }});
+			
+			// Throws if the TaskManager keeps rescheduling itself
+			env.scheduler.runAll(100);
+			
+			assert.deepEqual(performed, ['idle@2000']);
+		});
+		
+		it('does not keep checking while the rate limit is exhausted', function() {
+			var performed = [],
+				ownerId = env.manager.register('owner', {});
+			
+			env.manager.defineRateLimit('network', {perSecond: 1, burst: 1});
+			env.manager.addTask(ownerId, {id: 'normal', category: 'network', fn: function() { performed.push('normal@' + Platform.now()); }});
+			env.manager.addTask(ownerId, {id: 'idle', category: 'network', idle: true, fn: function() { performed.push('idle@' + Platform.now()); }});
+			env.scheduler.runAll(100);
+			
+			assert.deepEqual(performed, ['normal@1000', 'idle@2000']);
+		});
+		
+		it('does not keep checking while the slot is held for an exclusive task', function() {
+			var performed = [],
+				ownerId = env.manager.register('owner', {});
+			
+			env.manager.addTask(ownerId, {id: 'slow', async: true, fn: function(done) { Platform.delay(done, 1000); }});
+			env.scheduler.runNext();
+			env.manager.addTask(ownerId, {id: 'idle', idle: true, exclusive: true, fn: function() { performed.push('idle@' + Platform.now()); }});
+			env.scheduler.runAll(100);
+			
+			assert.deepEqual(performed, ['idle@2000']);
+		});
+	});
+});
@@ -0,0 +1,92 @@
+var assert = require('assert'),
+	_ = require('Platform')._,
+	harness = require('./support/harness');
+
+describe('Tasks with a key', function() {
+	var env = harness(),
+		ownerId, performed;
+	
+	/**
+	 * Create the definition of a task with the key "sync" that records the arguments it was performed with.
+	 * 
+	 * @param {Object} [config] Additional configuration (like the duplicate policy)
+	 * @param {Mixed...} [args] The arguments of the task
+	 * @return {Object} The definition
+	 */
+	function sync(config) {
+		return _.extend({
+			key: 'sync',
+			arguments: Array.prototype.slice.call(arguments, 1),
+			fn: function() {
+				performed.push(Array.prototype.slice.call(arguments).join(','));
+			}
+		}, config);
+	}
+	
+	beforeEach(function() {
+		performed = [];
+		ownerId = env.manager.register('owner', {});
+		// Keep the TaskManager busy, so that the tasks added next are pending
+		env.manager.addTask(ownerId, {id: 'busy', fn: function() {}});
+	});
+	
+	it('drops a task while a task with the same key is pending', function() {
+		var first = env.manager.addTask(ownerId, sync({}, 'a')),
+			second = env.manager.addTask(ownerId, sync({}, 'b'));
+		
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['a']);
+		
+		// The dropped task shares the result of the pending one
+		return Promise.all([first, second]);
+	});
+	
+	it('replaces the pending task with the same key', function() {
+		var first = env.manager.addTask(ownerId, sync({}, 'a'));
+		
+		env.manager.addTask(ownerId, sync({duplicate: 'replace'}, 'b'));
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['b']);
+		
+		return first.then(function() {
+			assert.fail('The promise should have been rejected');
+		}, function(err) {
+			assert.ok(err.cancelled);
+		});
+	});
+	
+	it('coalesces the arguments into those of the pending task with the same key', function() {
+		var concat = function(pending, added) {
+			return pending.concat(added);
+		};
+		
+		env.manager.addTask(ownerId, sync({coalesce: concat}, 'a'));
+		env.manager.addTask(ownerId, sync({coalesce: concat}, 'b'));
+		env.manager.addTask(ownerId, sync({coalesce: concat}, 'c'));
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['a,b,c']);
+	});
+	
+	it('adds a task with the same key again once the earlier one has been performed', function() {
+		env.manager.addTask(ownerId, sync({}, 'a'));
+		env.scheduler.runAll();
+		env.manager.addTask(ownerId, sync({}, 'b'));
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['a', 'b']);
+	});
+	
+	it('looks for a pending task with the same key in all owners if the key is global', function() {
+		var otherId = env.manager.register('other', {});
+		
+		env.manager.addTask(ownerId, sync({keyScope: 'global'}, 'a'));
+		env.manager.addTask(otherId, sync({keyScope: 'global'}, 'b'));
+		env.manager.addTask(otherId, sync({}, 'c'));
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed.sort(), ['a', 'c']);
+	});
+});
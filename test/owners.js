@@ -0,0 +1,78 @@
+var assert = require('assert'),
+	_ = require('Platform')._,
+	harness = require('./support/harness');
+
+describe('Nested owners', function() {
+	var env = harness(),
+		performed;
+	
+	/**
+	 * Create the definition of a task that records that it was performed.
+	 * 
+	 * @param {String} id The id of the task
+	 * @param {Object} [config] Additional configuration
+	 * @return {Object} The definition
+	 */
+	function task(id, config) {
+		return _.extend({
+			id: id,
+			fn: function() {
+				performed.push(id);
+			}
+		}, config);
+	}
+	
+	beforeEach(function() {
+		performed = [];
+	});
+	
+	it('raises the parent of the active owner right below it', function() {
+		var screenId = env.manager.register('screen', {}),
+			otherId = env.manager.register('other', {}),
+			listId = env.manager.register('list', {}, {parent: screenId});
+		
+		env.manager.addTask(otherId, task('other'));
+		env.manager.addTask(screenId, task('screen', {activeOnly: true}));
+		env.manager.addTask(listId, task('list'));
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['list', 'screen', 'other']);
+	});
+	
+	it('describes the owners as a tree', function() {
+		var screenId = env.manager.register('screen', {}),
+			listId = env.manager.register('list', {}, {parent: screenId}),
+			tree = env.manager.getOwnerTree();
+		
+		assert.equal(tree.length, 1);
+		assert.equal(tree[0].id, screenId);
+		assert.equal(tree[0].active, true);
+		assert.deepEqual(_.pluck(tree[0].children, 'id'), [listId]);
+	});
+	
+	it('unregisters the children of an owner first, dropping their tasks', function() {
+		var unregistered = [],
+			screenId = env.manager.register('screen', {}),
+			listId = env.manager.register('list', {}, {parent: screenId}),
+			itemId = env.manager.register('item', {}, {parent: listId}),
+			promise;
+		
+		env.manager.on('owner:unregistered', function(ownerId) {
+			unregistered.push(ownerId);
+		});
+		env.manager.addTask(screenId, task('screen', {delayMs: 100}));
+		promise = env.manager.addTask(itemId, task('item', {delayMs: 100}));
+		env.manager.unregister(screenId);
+		env.scheduler.runAll();
+		
+		assert.deepEqual(unregistered, [itemId, listId, screenId]);
+		assert.deepEqual(performed, []);
+		assert.deepEqual(env.manager.getOwnerTree(), []);
+		
+		return promise.then(function() {
+			assert.fail('The promise should have been rejected');
+		}, function(err) {
+			assert.ok(err.cancelled);
+		});
+	});
+});
@@ -0,0 +1,69 @@
+var assert = require('assert'),
+	harness = require('./support/harness');
+
+describe('Pausing', function() {
+	var env = harness(),
+		ownerId;
+	
+	beforeEach(function() {
+		ownerId = env.manager.register('owner', {});
+	});
+	
+	it('skips a paused task until it is resumed, without losing its position', function() {
+		var performed = [];
+		
+		env.manager.addTask(ownerId, {id: 'a', delayMs: 100, fn: function() { performed.push('a'); }});
+		env.manager.addTask(ownerId, {id: 'b', fn: function() { performed.push('b'); }});
+		env.manager.addTask(ownerId, {id: 'c', fn: function() { performed.push('c'); }});
+		
+		assert.equal(env.manager.pauseTask(ownerId, 'c'), true);
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['b', 'a']);
+		
+		assert.equal(env.manager.resumeTask(ownerId, 'c'), true);
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['b', 'a', 'c']);
+	});
+	
+	it('continues a paused IterationTask from where it stopped', function() {
+		var performed = [];
+		
+		env.manager.addTask(ownerId, {
+			id: 'a',
+			iterate: {list: [1, 2, 3, 4, 5, 6]},
+			fn: function(item) {
+				performed.push(item);
+			}
+		});
+		env.scheduler.runNext(); // Schedules the task
+		env.scheduler.runNext(); // Performs its first slice
+		
+		assert.equal(env.manager.pauseTask(ownerId, 'a'), true);
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, [1, 2]);
+		
+		env.manager.resumeTask(ownerId, 'a');
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, [1, 2, 3, 4, 5, 6]);
+	});
+	
+	it('performs none of the tasks of a paused owner until it is resumed', function() {
+		var performed = [];
+		
+		env.manager.addTask(ownerId, {id: 'a', fn: function() { performed.push('a'); }});
+		env.manager.pauseOwner(ownerId);
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, []);
+		assert.equal(env.manager.getOwnerTree()[0].paused, true);
+		
+		env.manager.resumeOwner(ownerId);
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['a']);
+	});
+});
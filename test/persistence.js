@@ -0,0 +1,118 @@
+var assert = require('assert'),
+	TaskManager = require('TaskManager'),
+	MemoryStorage = require('Storage/Memory'),
+	harness = require('./support/harness');
+
+describe('Persistent tasks', function() {
+	var env = harness(),
+		storage, performed;
+	
+	/**
+	 * Set up a TaskManager the way an app would at launch, using the storage of the current test.
+	 * 
+	 * @param {Object} manager The TaskManager
+	 * @return {String} The id of the owner
+	 */
+	function launch(manager) {
+		manager.defineTaskType('upload', {fn: function(path) { performed.push(path); }});
+		manager.defineTaskType('uploadAll', {
+			iterate: {step: 2},
+			fn: function(path) {
+				performed.push(path);
+				// Each upload takes a while, so the progress is saved after every slice
+				env.scheduler.time += 500;
+			}
+		});
+		manager.setStorage(storage);
+		
+		return manager.register('uploads', {});
+	}
+	
+	/**
+	 * Kill the app (dropping all its queued work), and launch it again with a new TaskManager.
+	 * 
+	 * @return {String} The id of the owner
+	 */
+	function relaunch() {
+		env.scheduler.uninstall();
+		env.scheduler.install();
+		env.manager = TaskManager.create({
+			debug: false,
+			logger: function(msg) {
+				env.logs.push(msg);
+			}
+		});
+		
+		return launch(env.manager);
+	}
+	
+	/**
+	 * Get the number of tasks in storage.
+	 * 
+	 * @return {Number} The number of tasks
+	 */
+	function stored() {
+		var data = storage.read();
+		
+		return data ? data.tasks.length : 0;
+	}
+	
+	beforeEach(function() {
+		storage = new MemoryStorage();
+		performed = [];
+	});
+	
+	it('keeps a task in storage until it has been performed', function() {
+		var ownerId = launch(env.manager);
+		
+		env.manager.addTask(ownerId, {type: 'upload', persistent: true, arguments: ['a.jpg']});
+		
+		assert.equal(stored(), 1);
+		
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['a.jpg']);
+		assert.equal(stored(), 0);
+	});
+	
+	it('performs the stored tasks once the app has been relaunched', function() {
+		var ownerId = launch(env.manager);
+		
+		env.manager.addTask(ownerId, {type: 'upload', persistent: true, arguments: ['a.jpg']});
+		env.manager.addTask(ownerId, {type: 'upload', persistent: true, arguments: ['b.jpg'], delayMs: 5000});
+		env.manager.addTask(ownerId, {type: 'upload', arguments: ['c.jpg']});
+		relaunch();
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['a.jpg', 'b.jpg']);
+		assert.equal(env.scheduler.now(), 6000);
+		assert.equal(stored(), 0);
+	});
+	
+	it('continues a stored IterationTask from where it was', function() {
+		var ownerId = launch(env.manager);
+		
+		env.manager.addTask(ownerId, {type: 'uploadAll', persistent: true, iterate: {list: ['a.jpg', 'b.jpg', 'c.jpg', 'd.jpg', 'e.jpg']}});
+		env.scheduler.runNext(); // Performs its first slice
+		
+		assert.deepEqual(performed, ['a.jpg', 'b.jpg']);
+		
+		relaunch();
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['a.jpg', 'b.jpg', 'c.jpg', 'd.jpg', 'e.jpg']);
+		assert.equal(stored(), 0);
+	});
+	
+	it('refuses a persistent task that can not be stored', function() {
+		var ownerId = launch(env.manager);
+		
+		assert.throws(function() {
+			env.manager.addTask(ownerId, {persistent: true, fn: function() {}});
+		}, /should refer to a task type/);
+		assert.throws(function() {
+			env.manager.addTask(ownerId, {type: 'upload', persistent: true, arguments: [function() {}]});
+		}, /only contain serializable values/);
+		assert.equal(stored(), 0);
+	});
+});
@@ -0,0 +1,97 @@
+var assert = require('assert'),
+	_ = require('Platform')._,
+	harness = require('./support/harness');
+
+/**
+ * Create the definition of an IterationTask that records each iteration it performs.
+ * 
+ * @param {String} id The id of the task
+ * @param {Array} performed The array to record the iterations in (as "id:item")
+ * @return {Object} The definition
+ */
+function iteration(id, performed) {
+	return {
+		id: id,
+		iterate: {list: [1, 2, 3, 4]},
+		fn: function(item) {
+			performed.push(id + ':' + item);
+		}
+	};
+}
+
+describe('Preemption', function() {
+	describe('with one task at a time', function() {
+		var env = harness();
+		
+		it('performs the tasks of a newly registered owner first', function() {
+			var performed = [],
+				firstId = env.manager.register('first', {}),
+				secondId;
+			
+			env.manager.addTask(firstId, {id: 'a', fn: function() { performed.push('a'); }});
+			secondId = env.manager.register('second', {});
+			env.manager.addTask(secondId, {id: 'b', fn: function() { performed.push('b'); }});
+			env.scheduler.runAll();
+			
+			assert.deepEqual(performed, ['b', 'a']);
+		});
+		
+		it('interrupts a running IterationTask and continues it later on', function() {
+			var performed = [],
+				firstId = env.manager.register('first', {}),
+				secondId;
+			
+			env.manager.addTask(firstId, iteration('a', performed));
+			env.scheduler.runNext(); // Schedules the task
+			env.scheduler.runNext(); // Performs its first slice
+			
+			secondId = env.manager.register('second', {});
+			env.manager.addTask(secondId, {id: 'b', fn: function() { performed.push('b'); }});
+			env.scheduler.runAll();
+			
+			// The slice that was scheduled already is performed before the task is interrupted
+			assert.deepEqual(performed, ['a:1', 'a:2', 'b', 'a:3', 'a:4']);
+		});
+		
+		it('leaves required tasks alone', function() {
+			var performed = [],
+				firstId = env.manager.register('first', {}),
+				secondId;
+			
+			env.manager.addTask(firstId, iteration('a', performed));
+			env.manager.requireTask(firstId, 'a');
+			env.scheduler.runNext();
+			env.scheduler.runNext();
+			
+			secondId = env.manager.register('second', {});
+			env.manager.addTask(secondId, {id: 'b', fn: function() { performed.push('b'); }});
+			env.scheduler.runAll();
+			
+			assert.deepEqual(performed, ['a:1', 'a:2', 'a:3', 'a:4', 'b']);
+		});
+	});
+	
+	describe('with several tasks at a time', function() {
+		var env = harness({maxConcurrent: 2});
+		
+		it('keeps the order of the interrupted tasks', function() {
+			var performed = [],
+				firstId = env.manager.register('first', {}),
+				secondId, resumed;
+			
+			env.manager.addTask(firstId, [iteration('a1', performed), iteration('a2', performed)]);
+			env.scheduler.runNext();
+			env.scheduler.runNext();
+			env.scheduler.runNext();
+			
+			secondId = env.manager.register('second', {});
+			env.manager.addTask(secondId, {id: 'b', fn: function() { performed.push('b'); }});
+			env.scheduler.runAll();
+			
+			resumed = _.rest(performed, _.indexOf(performed, 'b') + 1);
+			
+			assert.equal(performed.length, 9);
+			assert.ok(/^a1:/.test(resumed[0]), 'a1 should be continued first, not ' + resumed[0]);
+		});
+	});
+});
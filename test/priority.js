@@ -0,0 +1,52 @@
+var assert = require('assert'),
+	harness = require('./support/harness');
+
+describe('Priority', function() {
+	var env = harness(),
+		ownerId;
+	
+	/**
+	 * Create the definition of a task that records that it was performed.
+	 * 
+	 * @param {String} id The id of the task
+	 * @param {Number} priority The priority of the task
+	 * @param {Array} performed The array to record the task in
+	 * @return {Object} The definition
+	 */
+	function task(id, priority, performed) {
+		return {
+			id: id,
+			priority: priority,
+			fn: function() {
+				performed.push(id);
+			}
+		};
+	}
+	
+	beforeEach(function() {
+		ownerId = env.manager.register('owner', {});
+	});
+	
+	it('performs tasks of higher priority first, and tasks of equal priority in order of addition', function() {
+		var performed = [];
+		
+		env.manager.addTask(ownerId, [task('a', 0, performed), task('b', 5, performed), task('c', 0, performed), task('d', 5, performed)]);
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['b', 'd', 'a', 'c']);
+	});
+	
+	it('moves a task behind the tasks of its new priority', function() {
+		var performed = [];
+		
+		env.manager.addTask(ownerId, [task('a', 1, performed), task('b', 1, performed), task('c', 0, performed), task('d', 0, performed)]);
+		
+		assert.equal(env.manager.setTaskPriority(ownerId, 'c', 1), true);
+		assert.equal(env.manager.setTaskPriority(ownerId, 'd', 2), true);
+		env.scheduler.runAll();
+		
+		// Task a was picked as soon as it was added
+		assert.deepEqual(performed, ['a', 'd', 'b', 'c']);
+		assert.equal(env.manager.setTaskPriority(ownerId, 'b', 2), false);
+	});
+});
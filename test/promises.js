@@ -0,0 +1,80 @@
+var assert = require('assert'),
+	harness = require('./support/harness');
+
+describe('Promises', function() {
+	var env = harness(),
+		ownerId;
+	
+	/**
+	 * Create the definition of a task that records that it was performed, and returns its id.
+	 * 
+	 * @param {String} id The id of the task
+	 * @param {Array} performed The array to record the task in
+	 * @return {Object} The definition
+	 */
+	function task(id, performed) {
+		return {
+			id: id,
+			fn: function() {
+				performed.push(id);
+				return id.toUpperCase();
+			}
+		};
+	}
+	
+	beforeEach(function() {
+		ownerId = env.manager.register('owner', {});
+	});
+	
+	it('resolves the promise of an added task with its result', function() {
+		var single = env.manager.addTask(ownerId, task('a', [])),
+			several = env.manager.addTask(ownerId, [task('b', []), task('c', [])]);
+		
+		env.scheduler.runAll();
+		
+		return Promise.all([single, several]).then(function(results) {
+			assert.deepEqual(results, ['A', ['B', 'C']]);
+		});
+	});
+	
+	it('performs required tasks first, in the order they were required', function() {
+		var performed = [],
+			request;
+		
+		env.manager.addTask(ownerId, [task('a', performed), task('b', performed), task('c', performed), task('d', performed)]);
+		request = env.manager.requireTask(ownerId, ['d', 'c']);
+		env.scheduler.runAll();
+		
+		// Task a was picked as soon as it was added
+		assert.deepEqual(performed, ['a', 'd', 'c', 'b']);
+		
+		return request.then(function(results) {
+			assert.deepEqual(results, ['D', 'C']);
+		});
+	});
+	
+	it('rejects a request for a task that does not exist', function() {
+		var request = env.manager.requireTask(ownerId, 'unknown');
+		
+		env.scheduler.runAll();
+		
+		return request.then(function() {
+			assert.fail('The request should have been rejected');
+		}, function(err) {
+			assert.ok(err instanceof Error);
+		});
+	});
+	
+	it('resolves once the owner runs out of tasks', function() {
+		var performed = [],
+			idle;
+		
+		env.manager.addTask(ownerId, [task('a', performed), task('b', performed)]);
+		idle = env.manager.whenIdle(ownerId).then(function() {
+			assert.deepEqual(performed, ['a', 'b']);
+		});
+		env.scheduler.runAll();
+		
+		return idle;
+	});
+});
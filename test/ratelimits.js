@@ -0,0 +1,65 @@
+var assert = require('assert'),
+	Platform = require('Platform'),
+	harness = require('./support/harness');
+
+describe('Rate limits', function() {
+	var env = harness(),
+		ownerId, performed;
+	
+	/**
+	 * Create the definition of a task that records the (virtual) time it was started at.
+	 * 
+	 * @param {String} id The id of the task
+	 * @param {String} [category] The category of the task
+	 * @return {Object} The definition
+	 */
+	function task(id, category) {
+		return {
+			id: id,
+			category: category,
+			fn: function() {
+				performed.push(id + '@' + Platform.now());
+			}
+		};
+	}
+	
+	beforeEach(function() {
+		performed = [];
+		ownerId = env.manager.register('owner', {});
+		env.manager.defineRateLimit('api', {perSecond: 2, burst: 2});
+	});
+	
+	it('starts a burst of tasks at once, and the rest at the rate of the limit', function() {
+		env.manager.addTask(ownerId, [task('a', 'api'), task('b', 'api'), task('c', 'api'), task('d', 'api')]);
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['a@1000', 'b@1000', 'c@1500', 'd@2000']);
+	});
+	
+	it('performs other tasks while waiting for a token', function() {
+		env.manager.addTask(ownerId, [task('a', 'api'), task('b', 'api'), task('c', 'api'), task('d')]);
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['a@1000', 'b@1000', 'd@1000', 'c@1500']);
+	});
+	
+	it('lets the tasks go once the limit is removed', function() {
+		env.manager.addTask(ownerId, [task('a', 'api'), task('b', 'api'), task('c', 'api')]);
+		env.scheduler.tick();
+		env.scheduler.tick();
+		env.scheduler.tick();
+		
+		assert.deepEqual(performed, ['a@1000', 'b@1000']);
+		
+		env.manager.defineRateLimit('api', null);
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['a@1000', 'b@1000', 'c@1000']);
+	});
+	
+	it('refuses a limit without a positive rate', function() {
+		assert.throws(function() {
+			env.manager.defineRateLimit('api', {perSecond: 0});
+		}, /should define a positive perSecond/);
+	});
+});
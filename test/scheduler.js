@@ -0,0 +1,115 @@
+var assert = require('assert'),
+	Platform = require('Platform'),
+	harness = require('./support/harness');
+
+describe('ManualScheduler', function() {
+	var env = harness();
+	
+	it('runs only the jobs that are due on a tick', function() {
+		var performed = [];
+		
+		Platform.defer(function() {
+			performed.push('a');
+			Platform.defer(function() { performed.push('c'); });
+		});
+		Platform.delay(function() { performed.push('d'); }, 100);
+		Platform.defer(function() { performed.push('b'); });
+		
+		assert.equal(env.scheduler.tick(), 2);
+		assert.deepEqual(performed, ['a', 'b']);
+		assert.equal(env.scheduler.tick(), 1);
+		assert.deepEqual(performed, ['a', 'b', 'c']);
+		assert.equal(env.scheduler.hasPending(true), false);
+		assert.equal(env.scheduler.hasPending(), true);
+	});
+	
+	it('skips jobs that were cancelled by the ones run before them on a tick', function() {
+		var performed = [],
+			id;
+		
+		Platform.defer(function() { Platform.cancel(id); });
+		id = Platform.delay(function() { performed.push('cancelled'); }, 0);
+		
+		assert.equal(env.scheduler.tick(), 1);
+		assert.deepEqual(performed, []);
+	});
+	
+	it('runs delayed jobs in order of due time while advancing the clock', function() {
+		var performed = [];
+		
+		Platform.delay(function() {
+			performed.push('b@' + Platform.now());
+			Platform.delay(function() { performed.push('c@' + Platform.now()); }, 50);
+		}, 200);
+		Platform.delay(function() { performed.push('a@' + Platform.now()); }, 100);
+		Platform.delay(function() { performed.push('d@' + Platform.now()); }, 500);
+		
+		assert.equal(env.scheduler.advanceTime(300), 3);
+		assert.deepEqual(performed, ['a@1100', 'b@1200', 'c@1250']);
+		assert.equal(Platform.now(), 1300);
+		assert.equal(env.scheduler.advanceTime(200), 1);
+		assert.deepEqual(performed, ['a@1100', 'b@1200', 'c@1250', 'd@1500']);
+	});
+	
+	it('gives up on jobs that keep rescheduling themselves', function() {
+		function again() {
+			Platform.defer(again);
+		}
+		
+		again();
+		
+		assert.throws(function() {
+			env.scheduler.runAll(10);
+		}, /still queued after running 10/);
+	});
+});
+
+describe('Priority stack', function() {
+	var env = harness();
+	
+	it('performs the tasks of the most recently registered owner first', function() {
+		var performed = [],
+			firstId = env.manager.register('first', {}),
+			secondId = env.manager.register('second', {});
+		
+		env.manager.addTask(firstId, {id: 'first', fn: function() { performed.push('first'); }});
+		env.manager.addTask(secondId, {id: 'second', fn: function() { performed.push('second'); }});
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['second', 'first']);
+	});
+	
+	it('moves an activated owner to the top', function() {
+		var performed = [],
+			firstId = env.manager.register('first', {}),
+			secondId = env.manager.register('second', {});
+		
+		env.manager.addTask(firstId, {id: 'first', fn: function() { performed.push('first'); }});
+		env.manager.addTask(secondId, {id: 'second', fn: function() { performed.push('second'); }});
+		env.manager.activate(firstId);
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['first', 'second']);
+	});
+	
+	it('leaves activeOnly tasks of inactive owners until they are activated', function() {
+		var performed = [],
+			firstId = env.manager.register('first', {}),
+			secondId;
+		
+		env.manager.setMaxConcurrent(2);
+		env.manager.addTask(firstId, {id: 'activeOnly', activeOnly: true, fn: function() { performed.push('activeOnly@' + Platform.now()); }});
+		env.manager.addTask(firstId, {id: 'always', fn: function() { performed.push('always@' + Platform.now()); }});
+		
+		secondId = env.manager.register('second', {});
+		env.manager.addTask(secondId, {id: 'slow', async: true, fn: function(done) { Platform.delay(done, 1000); }});
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['always@1000']);
+		
+		env.manager.activate(firstId);
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['always@1000', 'activeOnly@2000']);
+	});
+});
@@ -0,0 +1,65 @@
+var assert = require('assert'),
+	Platform = require('Platform'),
+	harness = require('./support/harness');
+
+describe('Delayed and recurring tasks', function() {
+	var env = harness(),
+		ownerId, performed;
+	
+	/**
+	 * Create a function that records the (virtual) time it was invoked at.
+	 * 
+	 * @param {String} id The id to record the time with
+	 * @return {Function} The function
+	 */
+	function record(id) {
+		return function() {
+			performed.push(id + '@' + Platform.now());
+		};
+	}
+	
+	beforeEach(function() {
+		performed = [];
+		ownerId = env.manager.register('owner', {});
+	});
+	
+	it('puts a delayed task in line once its delay has passed', function() {
+		env.manager.addTask(ownerId, {id: 'delayed', delayMs: 500, fn: record('delayed')});
+		env.manager.addTask(ownerId, {id: 'now', fn: record('now')});
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['now@1000', 'delayed@1500']);
+	});
+	
+	it('puts a scheduled task in line at the time it is scheduled for', function() {
+		env.manager.addTask(ownerId, {id: 'scheduled', runAt: new Date(Date.now() + 60000), fn: record('scheduled')});
+		env.scheduler.advanceTime(59000);
+		
+		assert.deepEqual(performed, []);
+		
+		env.scheduler.runAll();
+		
+		assert.equal(performed.length, 1);
+	});
+	
+	it('performs a recurring task the supplied number of times', function() {
+		var promise = env.manager.addTask(ownerId, {id: 'recurring', interval: 200, repeat: 3, fn: record('recurring')});
+		
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['recurring@1000', 'recurring@1200', 'recurring@1400']);
+		
+		return promise;
+	});
+	
+	it('stops performing a recurring task once its owner is unregistered', function() {
+		env.manager.addTask(ownerId, {id: 'recurring', interval: 100, fn: record('recurring')});
+		env.scheduler.advanceTime(250);
+		env.manager.unregister(ownerId);
+		
+		// Throws if the task keeps recurring
+		env.scheduler.runAll(100);
+		
+		assert.deepEqual(performed, ['recurring@1000', 'recurring@1100', 'recurring@1200']);
+	});
+});
@@ -0,0 +1,35 @@
+var _ = require('Platform')._,
+	ManualScheduler = require('Platform/ManualScheduler'),
+	TaskManager = require('TaskManager');
+
+/**
+ * Give each test of the current suite a TaskManager of its own, running on a virtual clock (see Platform.ManualScheduler).
+ * 
+ * Everything that is logged through the logger of the TaskManager (by the manager as well as by its owners and tasks)
+ * is collected rather than printed.
+ * 
+ * @param {Object} [options] The settings of the TaskManager (see TaskManager#configure)
+ * @return {Object} Dictionary that holds the scheduler, the manager and the logs of the current test
+ */
+module.exports = function(options) {
+	var env = {};
+	
+	beforeEach(function() {
+		env.logs = [];
+		env.scheduler = new ManualScheduler(1000);
+		env.scheduler.install();
+		
+		env.manager = TaskManager.create(_.extend({
+			debug: false,
+			logger: function(msg) {
+				env.logs.push(msg);
+			}
+		}, options));
+	});
+	
+	afterEach(function() {
+		env.scheduler.uninstall();
+	});
+	
+	return env;
+};
@@ -0,0 +1,107 @@
+var assert = require('assert'),
+	_ = require('Platform')._,
+	harness = require('./support/harness');
+
+describe('Timeouts', function() {
+	var env = harness({defaultTimeoutMs: 1000}),
+		ownerId;
+	
+	beforeEach(function() {
+		ownerId = env.manager.register('owner', {});
+	});
+	
+	it('fails a task that does not settle within its timeout, and moves on', function() {
+		var performed = [],
+			promise;
+		
+		promise = env.manager.addTask(ownerId, {id: 'a', async: true, timeoutMs: 500, fn: function(done) {}});
+		env.manager.addTask(ownerId, {id: 'b', fn: function() { performed.push('b@' + env.scheduler.now()); }});
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['b@1500']);
+		
+		return promise.then(function() {
+			assert.fail('The promise should have been rejected');
+		}, function(err) {
+			assert.ok(err.timedOut);
+		});
+	});
+	
+	it('applies the default timeout to tasks without a timeout of their own', function() {
+		var performed = [];
+		
+		env.manager.addTask(ownerId, {id: 'a', async: true, fn: function(done) {}});
+		env.manager.addTask(ownerId, {id: 'b', fn: function() { performed.push('b@' + env.scheduler.now()); }});
+		env.scheduler.runAll();
+		
+		assert.deepEqual(performed, ['b@2000']);
+	});
+	
+	it('ignores whatever a task signals after it timed out', function() {
+		var late;
+		
+		env.manager.addTask(ownerId, {id: 'a', async: true, timeoutMs: 500, fn: function(done) { late = done; }});
+		env.scheduler.runAll();
+		late(null, 'late');
+		env.scheduler.runAll();
+		
+		assert.equal(env.manager.getOwnerTree()[0].pending, 0);
+		assert.equal(env.scheduler.hasPending(), false);
+	});
+});
+
+describe('Watchdog', function() {
+	var env = harness({watchdogMs: 100}),
+		ownerId;
+	
+	/**
+	 * Create a function that blocks the (virtual) thread for the supplied time.
+	 * 
+	 * @param {Number} ms The time in ms
+	 * @return {Function} The function
+	 */
+	function block(ms) {
+		return function() {
+			env.scheduler.time += ms;
+		};
+	}
+	
+	/**
+	 * Get the warnings of the watchdog that have been logged.
+	 * 
+	 * @return {Array} The warnings
+	 */
+	function warnings() {
+		return _.filter(env.logs, function(msg) {
+			return /blocked the thread/.test(msg);
+		});
+	}
+	
+	beforeEach(function() {
+		ownerId = env.manager.register('owner', {});
+	});
+	
+	it('reports a task that blocks the thread for too long', function() {
+		env.manager.addTask(ownerId, {id: 'fast', name: 'fast', fn: block(50)});
+		env.manager.addTask(ownerId, {id: 'slow', name: 'slow', fn: block(150)});
+		env.scheduler.runAll();
+		
+		assert.equal(warnings().length, 1);
+		assert.ok(/Task slow blocked the thread for 150ms/.test(warnings()[0]));
+	});
+	
+	it('reports a slice that blocks the thread for too long', function() {
+		env.manager.addTask(ownerId, {
+			id: 'iteration',
+			name: 'iteration',
+			iterate: {list: [50, 50, 50, 50, 150, 10], step: 1},
+			fn: function(ms) {
+				block(ms)();
+			}
+		});
+		env.scheduler.runAll();
+		
+		assert.equal(warnings().length, 1);
+		assert.ok(/Task iteration blocked the thread for 150ms/.test(warnings()[0]));
+	});
+});
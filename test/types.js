@@ -0,0 +1,50 @@
+var assert = require('assert'),
+	harness = require('./support/harness');
+
+describe('Task types', function() {
+	var env = harness(),
+		ownerId;
+	
+	beforeEach(function() {
+		ownerId = env.manager.register('owner', {});
+	});
+	
+	it('merges a task onto the type it refers to', function() {
+		var promise;
+		
+		env.manager.defineTaskType('scale', {
+			iterate: {type: 'map', step: 2},
+			fn: function(value) {
+				return value * 3;
+			}
+		});
+		promise = env.manager.addTask(ownerId, {type: 'scale', iterate: {list: [1, 2, 3]}});
+		env.scheduler.runAll();
+		
+		return promise.then(function(result) {
+			assert.deepEqual(result, [3, 6, 9]);
+		});
+	});
+	
+	it('refuses a task that refers to an unknown type', function() {
+		assert.throws(function() {
+			env.manager.addTask(ownerId, {type: 'unknown'});
+		}, /Unknown task type "unknown"/);
+	});
+	
+	it('still takes the iteration type of an IterationTask from its type', function() {
+		var promise = env.manager.addTask(ownerId, {
+			type: 'map',
+			iterate: {list: [1, 2, 3]},
+			fn: function(value) {
+				return value * 2;
+			}
+		});
+		
+		env.scheduler.runAll();
+		
+		return promise.then(function(result) {
+			assert.deepEqual(result, [2, 4, 6]);
+		});
+	});
+});